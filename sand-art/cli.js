@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+// Headless sand-art runner for regression checks when tuning physics: steps the simulation core
+// under Node for a config and prints summary stats (settled sand height, bubble positions, liquid
+// layer heights, energy).
+//
+//   node cli.js [config.json] [--preset name] [--frames 600] [--seed n] [--engine matter|granular]
+//               [--flip-at step] [--json] [--verbose]
+
+const fs = require('fs');
+const path = require('path');
+const { SandArtCore, validateConfig } = require('./sand-art-core.js');
+
+const USAGE = `Usage: node cli.js [config.json] [options]
+
+Steps the sand-art simulation for a config (config.json next to this script by default)
+and prints summary stats.
+
+Options:
+  --preset name      Use a config from presets/ instead of a file
+  --frames n         Fixed steps to run (default 600, ten simulated seconds)
+  --seed n           Override simulation.seed so runs can be compared
+  --engine name      Override simulation.engine (matter or granular)
+  --flip-at step     Flip the frame at this step
+  --json             Print the stats as JSON
+  --verbose          Keep the simulation's own log output
+  --help             Show this message`;
+
+function parseArgs(args) {
+    const options = { frames: 600, json: false, verbose: false };
+    const number = (name, value) => {
+        const parsed = Number(value);
+        if (value === undefined || !Number.isFinite(parsed)) throw new Error(`${name} needs a number`);
+        return parsed;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--preset':
+                options.preset = args[++i];
+                break;
+            case '--frames':
+                options.frames = number(arg, args[++i]);
+                break;
+            case '--seed':
+                options.seed = number(arg, args[++i]);
+                break;
+            case '--engine':
+                options.engine = args[++i];
+                break;
+            case '--flip-at':
+                options.flipAt = number(arg, args[++i]);
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--') || options.config) throw new Error(`Unexpected argument "${arg}"`);
+                options.config = arg;
+        }
+    }
+    return options;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// The same sources as the page: a preset from the presets manifest, otherwise a config file
+function loadConfig(options) {
+    if (options.preset) {
+        const presetsDir = path.join(__dirname, 'presets');
+        const { presets } = readJson(path.join(presetsDir, 'index.json'));
+        const preset = presets.find(entry => entry.name === options.preset);
+        if (!preset) {
+            const available = presets.map(entry => entry.name).join(', ');
+            throw new Error(`Unknown preset "${options.preset}" (available: ${available})`);
+        }
+        return readJson(path.join(presetsDir, preset.file));
+    }
+    return readJson(options.config ?? path.join(__dirname, 'config.json'));
+}
+
+function run(config, options) {
+    // The core narrates what it builds; keep stdout for the results unless asked
+    const log = console.log;
+    if (!options.verbose) console.log = () => {};
+
+    try {
+        const simulation = new SandArtCore(config);
+        // The last time it settled, so a flip that stirs the sand up again counts from there
+        let settledAt = null;
+        simulation.addEventListener('settled', event => {
+            settledAt = event.detail.step;
+        });
+
+        const start = performance.now();
+        for (let frame = 0; frame < options.frames; frame++) {
+            if (frame === options.flipAt) simulation.perform('flip');
+            simulation.stepSimulation();
+        }
+        const elapsedMs = performance.now() - start;
+
+        return {
+            ...simulation.getStats(),
+            seed: simulation.seed,
+            engine: config.simulation.engine,
+            settledAt: simulation.settled ? settledAt : null,
+            elapsedMs,
+            engineMsPerStep: simulation.perf.steps ? simulation.perf.engineMs / simulation.perf.steps : 0
+        };
+    } finally {
+        console.log = log;
+    }
+}
+
+function printStats(stats) {
+    const fixed = (value, digits = 1) => value.toFixed(digits);
+    console.log(`Stepped to step ${stats.step} (seed ${stats.seed}, ${stats.engine} engine) in ${fixed(stats.elapsedMs / 1000, 2)} s, ` +
+        `${fixed(stats.engineMsPerStep, 2)} ms per engine step`);
+    console.log(`Settled: ${stats.settled ? `yes, at step ${stats.settledAt}` : 'no'}`);
+    console.log(`Sand: ${stats.sand.count} grains, mean height ${fixed(stats.sand.meanHeight)}, surface ${fixed(stats.sand.surfaceHeight)}`);
+    console.log(`Bubbles: ${stats.bubbles.count}, mean height ${fixed(stats.bubbles.meanHeight)}`);
+    for (let i = 0; i < stats.bubbles.positions.length; i += 6) {
+        const row = stats.bubbles.positions.slice(i, i + 6);
+        console.log('  ' + row.map(({ x, y }) => `(${fixed(x)}, ${fixed(y)})`).join(' '));
+    }
+    console.log(`Droplets: ${stats.droplets}`);
+    stats.liquids.forEach(liquid => console.log(`  ${liquid.name}: ${liquid.count}, mean height ${fixed(liquid.meanHeight)}`));
+    console.log(`Kinetic energy: ${stats.energy.toPrecision(4)}`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let rawConfig;
+    try {
+        rawConfig = loadConfig(options);
+    } catch (error) {
+        console.error(`Could not load the configuration: ${error.message}`);
+        return 1;
+    }
+    if (options.seed !== undefined) (rawConfig.simulation ??= {}).seed = options.seed;
+    if (options.engine !== undefined) (rawConfig.simulation ??= {}).engine = options.engine;
+
+    const { config, errors, warnings } = validateConfig(rawConfig);
+    warnings.forEach(warning => console.error(`Config: ${warning}`));
+    if (errors.length) {
+        errors.forEach(error => console.error(`Config: ${error}`));
+        return 1;
+    }
+
+    // A config can pass validation and still fail to build (a concave container part, say)
+    let stats;
+    try {
+        stats = run(config, options);
+    } catch (error) {
+        console.error(`Could not simulate the configuration: ${error.message}`);
+        return 1;
+    }
+    if (options.json) {
+        console.log(JSON.stringify(stats, null, 2));
+    } else {
+        printStats(stats);
+    }
+    return 0;
+}
+
+process.exitCode = main();
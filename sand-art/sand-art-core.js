@@ -0,0 +1,2530 @@
+// Sand-art simulation core: the physics world and its bodies, user actions, snapshots and the
+// config schema, with nothing that needs a page. The canvas view (SandArtSimulation in index.html)
+// builds on it, and cli.js runs it under Node with matter-js.
+//
+// In the page this is a plain <script> and everything in it is global; under Node it is a CommonJS module.
+
+// Sand fill strategies, selected by particles.fillStrategy.
+// Each takes the fill region, the particles config and the simulation's seeded
+// random source, and returns up to particles.count grain centres as { x, y, band? }.
+const SAND_FILL_STRATEGIES = {
+    // Regular grid with gridSpacing between grains, each nudged by up to jitterAmount
+    grid_jitter(region, options, random) {
+        const pitch = fillPitch(options);
+        const jitter = options.jitterAmount ?? options.size / 2;
+        const cols = Math.floor(region.width / pitch);
+        const rows = Math.floor(region.height / pitch);
+        const positions = [];
+
+        for (let i = 0; i < options.count && i < cols * rows; i++) {
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            positions.push({
+                x: region.x + (col + 0.5) * (region.width / cols) + (random() * 2 - 1) * jitter,
+                y: region.y + (row + 0.5) * (region.height / rows) + (random() * 2 - 1) * jitter
+            });
+        }
+        return positions;
+    },
+
+    // Uniformly scattered grains; overlaps are left for the engine to push apart
+    random(region, options, random) {
+        const half = options.size / 2;
+        const positions = [];
+
+        for (let i = 0; i < options.count; i++) {
+            positions.push({
+                x: region.x + half + random() * (region.width - options.size),
+                y: region.y + half + random() * (region.height - options.size)
+            });
+        }
+        return positions;
+    },
+
+    // Bridson's Poisson-disk sampling: irregular but never closer than one pitch
+    poisson_disk(region, options, random) {
+        const minDistance = fillPitch(options);
+        // The background grid's cells are sized by the distance, so it can't be zero
+        if (!(minDistance > 0)) throw new Error(`poisson_disk needs a positive distance between points (got ${minDistance})`);
+        const cellSize = minDistance / Math.SQRT2;
+        const cols = Math.ceil(region.width / cellSize);
+        const rows = Math.ceil(region.height / cellSize);
+        const grid = new Array(cols * rows).fill(-1);
+        const half = options.size / 2;
+        const positions = [];
+        const active = [];
+        const attempts = 30;
+
+        const fits = (x, y) => {
+            if (x < region.x + half || x > region.x + region.width - half) return false;
+            if (y < region.y + half || y > region.y + region.height - half) return false;
+
+            const col = Math.floor((x - region.x) / cellSize);
+            const row = Math.floor((y - region.y) / cellSize);
+            for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+                for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+                    const index = grid[r * cols + c];
+                    if (index !== -1 && Math.hypot(positions[index].x - x, positions[index].y - y) < minDistance) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        };
+
+        const add = (x, y) => {
+            const col = Math.floor((x - region.x) / cellSize);
+            const row = Math.floor((y - region.y) / cellSize);
+            grid[row * cols + col] = positions.length;
+            active.push(positions.length);
+            positions.push({ x, y });
+        };
+
+        if (options.count > 0) add(region.x + region.width / 2, region.y + region.height / 2);
+
+        while (active.length > 0 && positions.length < options.count) {
+            const activeIndex = Math.floor(random() * active.length);
+            const origin = positions[active[activeIndex]];
+            let placed = false;
+
+            for (let i = 0; i < attempts; i++) {
+                const angle = random() * Math.PI * 2;
+                const distance = minDistance * (1 + random());
+                const x = origin.x + Math.cos(angle) * distance;
+                const y = origin.y + Math.sin(angle) * distance;
+                if (fits(x, y)) {
+                    add(x, y);
+                    placed = true;
+                    break;
+                }
+            }
+
+            if (!placed) active.splice(activeIndex, 1);
+        }
+        return positions;
+    },
+
+    // Horizontal bands of packed grains separated by empty gaps, tagged with a band index
+    layered_bands(region, options, random) {
+        const bandCount = options.bandCount ?? 4;
+        const pitch = fillPitch(options);
+        const cols = Math.floor(region.width / pitch);
+        const rows = Math.floor(region.height / pitch);
+        const jitter = options.jitterAmount ?? options.size / 2;
+        // The grains' rows are shared out between the bands, each followed by one empty row as the gap
+        const rowsPerBand = Math.ceil(Math.ceil(options.count / cols) / bandCount) + 1;
+        const positions = [];
+
+        for (let row = 0; row < rows && positions.length < options.count; row++) {
+            if (row % rowsPerBand === rowsPerBand - 1) continue;
+            for (let col = 0; col < cols && positions.length < options.count; col++) {
+                positions.push({
+                    x: region.x + (col + 0.5) * (region.width / cols) + (random() * 2 - 1) * jitter,
+                    y: region.y + (row + 0.5) * pitch,
+                    band: Math.floor(row / rowsPerBand)
+                });
+            }
+        }
+        return positions;
+    },
+
+    // A poured mound resting on the bottom of the region, sloped at heapAngle degrees
+    heap(region, options, random) {
+        const pitch = fillPitch(options);
+        const slope = Math.tan(((options.heapAngle ?? 34) * Math.PI) / 180);
+        const centreX = region.x + region.width / 2;
+        const baseY = region.y + region.height;
+        const rows = Math.floor(region.height / pitch);
+        // Grains in each row, bottom up, of a mound whose slopes meet at peak
+        const rowCounts = peak => Array.from({ length: rows }, (_, row) => {
+            const halfWidth = Math.min(region.width / 2, (peak - (row + 0.5) * pitch) / slope);
+            return Math.max(0, Math.floor((2 * halfWidth) / pitch));
+        });
+        const capacity = peak => rowCounts(peak).reduce((sum, count) => sum + count, 0);
+
+        // Triangle area is height^2 / slope; start there and raise the peak, flattening the top
+        // against the region, until every grain fits or the region is full
+        const wanted = Math.min(options.count, rows * Math.floor(region.width / pitch));
+        let peak = Math.sqrt(options.count * pitch * pitch * slope);
+        while (capacity(peak) < wanted) peak += pitch;
+        const positions = [];
+
+        rowCounts(peak).forEach((count, row) => {
+            const y = baseY - (row + 0.5) * pitch;
+            for (let i = 0; i < count && positions.length < options.count; i++) {
+                const x = centreX + (i - (count - 1) / 2) * pitch;
+                positions.push({ x: x + (random() - 0.5) * pitch * 0.2, y });
+            }
+        });
+        return positions;
+    }
+};
+
+// Pack polygon vertex lists into one flat coordinate array plus per-polygon vertex counts
+function flattenPolygons(polygons) {
+    const counts = new Uint16Array(polygons.length);
+    const points = new Float32Array(polygons.reduce((sum, vertices) => sum + vertices.length * 2, 0));
+    let offset = 0;
+    polygons.forEach((vertices, i) => {
+        counts[i] = vertices.length;
+        vertices.forEach(vertex => {
+            points[offset++] = vertex.x;
+            points[offset++] = vertex.y;
+        });
+    });
+    return { points, counts };
+}
+
+// Seeded PRNG (mulberry32) so a given simulation.seed always builds the same frame
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const random = function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Exposed so snapshots can resume the exact sequence
+    random.getState = () => state;
+    random.setState = newState => { state = newState >>> 0; };
+    return random;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Centre-to-centre distance between neighbouring grains for the grid-based fills
+function fillPitch(options) {
+    return options.size + (options.gridSpacing ?? options.size);
+}
+
+// Container part builders, keyed by the part's type in container.parts.
+// Coordinates are world units; each returns the static bodies for one part, built with
+// the simulation's physics backend.
+const CONTAINER_PART_BUILDERS = {
+    // Arbitrary convex outline: { points: [[x, y], ...] }. Concave shapes need poly-decomp,
+    // which isn't loaded, so build those from several parts instead.
+    polygon(part, options, physics) {
+        const vertices = part.points.map(([x, y]) => ({ x, y }));
+        const centre = physics.Vertices.centre(vertices);
+        return [physics.Bodies.fromVertices(centre.x, centre.y, [vertices], options)];
+    },
+
+    // Two sloped walls narrowing to an opening: { x, y, width, height, opening, thickness?, inverted? }
+    funnel(part, options, physics) {
+        const thickness = part.thickness ?? 10;
+        const top = part.y - part.height / 2;
+        const bottom = part.y + part.height / 2;
+        const [wideY, narrowY] = part.inverted ? [bottom, top] : [top, bottom];
+        return [
+            segmentBody(physics, part.x - part.width / 2, wideY, part.x - part.opening / 2, narrowY, thickness, options),
+            segmentBody(physics, part.x + part.width / 2, wideY, part.x + part.opening / 2, narrowY, thickness, options)
+        ];
+    },
+
+    // Triangle standing on its base: { x, y, width, height, apex?, angle? }.
+    // apex (0-1) places the point along the base, so 0 or 1 gives a ramp.
+    wedge(part, options, physics) {
+        const left = part.x - part.width / 2;
+        const vertices = [
+            { x: left, y: part.y + part.height / 2 },
+            { x: left + part.width * (part.apex ?? 0.5), y: part.y - part.height / 2 },
+            { x: left + part.width, y: part.y + part.height / 2 }
+        ];
+        const centre = physics.Vertices.centre(vertices);
+        const body = physics.Bodies.fromVertices(centre.x, centre.y, [vertices], options);
+        physics.Body.rotate(body, ((part.angle ?? 0) * Math.PI) / 180, { x: part.x, y: part.y });
+        return [body];
+    },
+
+    // Grid of round pegs filling a box: { x, y, width, height, rows, cols, radius, staggered? }
+    pegs(part, options, physics) {
+        const pegs = [];
+        const staggered = part.staggered ?? true;
+        const colSpacing = part.width / part.cols;
+        const rowSpacing = part.rows > 1 ? part.height / (part.rows - 1) : 0;
+        const left = part.x - part.width / 2;
+        const top = part.y - part.height / 2;
+
+        for (let row = 0; row < part.rows; row++) {
+            const offset = staggered && row % 2 === 1 ? colSpacing / 2 : 0;
+            for (let col = 0; col < part.cols; col++) {
+                const x = left + (col + 0.5) * colSpacing + offset;
+                if (x > left + part.width) continue;
+                pegs.push(physics.Bodies.circle(x, top + row * rowSpacing, part.radius, options));
+            }
+        }
+        return pegs;
+    },
+
+    // Straight internal wall between two points: { x1, y1, x2, y2, thickness? }
+    divider(part, options, physics) {
+        return [segmentBody(physics, part.x1, part.y1, part.x2, part.y2, part.thickness ?? 10, options)];
+    }
+};
+
+// Even-odd ray cast, for any simple polygon
+function pointInPolygon(x, y, vertices) {
+    let inside = false;
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+        if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+// Rectangle spanning a line segment, used for funnel sides and dividers
+function segmentBody(physics, x1, y1, x2, y2, thickness, options) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    return physics.Bodies.rectangle((x1 + x2) / 2, (y1 + y2) / 2, length, thickness, {
+        ...options,
+        angle: Math.atan2(y2 - y1, x2 - x1)
+    });
+}
+
+// Bubble radius distributions, keyed by bubbles.sizeDistribution; each draws one radius
+const BUBBLE_SIZE_DISTRIBUTIONS = {
+    // Every bubble at bubbles.radius
+    fixed(options) {
+        return options.radius;
+    },
+
+    // Uniformly between radiusMin and radiusMax
+    uniform(options, random) {
+        const min = options.radiusMin ?? options.radius;
+        const max = options.radiusMax ?? options.radius;
+        return min + random() * (max - min);
+    },
+
+    // Weighted pick from histogram entries of { radius, weight }
+    histogram(options, random) {
+        const bins = options.histogram ?? [];
+        const total = bins.reduce((sum, bin) => sum + (bin.weight ?? 1), 0);
+        let pick = random() * total;
+        for (const bin of bins) {
+            pick -= bin.weight ?? 1;
+            if (pick < 0) return bin.radius;
+        }
+        return bins.at(-1)?.radius ?? options.radius;
+    }
+};
+
+// Bubble outlines, keyed by bubbles.shape; each returns vertices around the origin
+const BUBBLE_SHAPES = {
+    // Enough sides that the outline reads as round at any size
+    circle(radius) {
+        return regularPolygon(radius, Math.max(12, Math.round(radius)));
+    },
+
+    hexagon(radius) {
+        return regularPolygon(radius, 6);
+    },
+
+    // Regular polygon with bubbles.sides sides
+    polygon(radius, options) {
+        return regularPolygon(radius, Math.max(3, options.sides ?? 5));
+    }
+};
+
+// Grain outlines, keyed by a material's shape; each builds one grain body about size across
+const GRAIN_SHAPES = {
+    square(physics, x, y, size, options) {
+        return physics.Bodies.rectangle(x, y, size, size, options);
+    },
+
+    circle(physics, x, y, size, options) {
+        return physics.Bodies.circle(x, y, size / 2, options);
+    },
+
+    // Convex outline (see irregularOutline) so the grains interlock instead of rolling
+    irregular(physics, x, y, size, options, outline) {
+        return physics.Bodies.fromVertices(x, y, [outline], options);
+    }
+};
+
+// Five to eight corners at sorted random angles around a randomly squashed ellipse. Points on
+// an ellipse in angle order always make a convex polygon, which both backends can collide.
+function irregularOutline(size, random) {
+    const sides = 5 + Math.floor(random() * 4);
+    const squash = 0.6 + random() * 0.4;
+    const angles = Array.from({ length: sides }, (_, i) => ((i + random() * 0.8) * Math.PI * 2) / sides);
+    return angles.map(angle => ({
+        x: (Math.cos(angle) * size) / 2,
+        y: (Math.sin(angle) * size * squash) / 2
+    }));
+}
+
+function regularPolygon(radius, sides) {
+    return Array.from({ length: sides }, (_, i) => ({
+        x: Math.cos((i * Math.PI * 2) / sides) * radius,
+        y: Math.sin((i * Math.PI * 2) / sides) * radius
+    }));
+}
+
+// Spatial hash as a counting sort of n items into cellCount cells (cellOf(i) gives item i's cell):
+// the items in cell c are sorted[cellStart[c]] up to, but not including, sorted[cellStart[c + 1]]
+function bucketByCell(n, cellCount, cellOf) {
+    const cellStart = new Int32Array(cellCount + 1);
+    const cellIndex = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+        cellIndex[i] = cellOf(i);
+        cellStart[cellIndex[i] + 1]++;
+    }
+    for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+    const fill = cellStart.slice(0, cellCount);
+    const sorted = new Int32Array(n);
+    for (let i = 0; i < n; i++) sorted[fill[cellIndex[i]]++] = i;
+    return { cellStart, sorted };
+}
+
+// Position-based granular solver exposing the slice of the Matter.js API the simulation uses,
+// selected with simulation.engine "granular". Grains and bubbles collide as circles (grains
+// keep their square outline for drawing); small bodies are found through a spatial hash and
+// every contact is projected apart positionIterations times per step. Restitution is not
+// modelled: contacts are perfectly inelastic, which suits settling sand.
+const GranularPhysics = (() => {
+    // Matter's reference step: velocities are displacements per 16.67 ms, as in Matter
+    const BASE_DELTA = 1000 / 60;
+    let nextId = 1;
+
+    // Every body gets the same properties in the same order so the solver's hot loops stay monomorphic
+    function createBody(options, shape) {
+        const body = {
+            id: nextId++,
+            shape: shape.shape,
+            radius: shape.radius,
+            area: shape.area,
+            localVertices: shape.localVertices,
+            position: { x: 0, y: 0 },
+            prev: { x: 0, y: 0 },
+            velocity: { x: 0, y: 0 },
+            force: { x: 0, y: 0 },
+            angle: options.angle ?? 0,
+            angularVelocity: 0,
+            isStatic: options.isStatic ?? false,
+            isSleeping: false,
+            winding: 1,
+            density: options.density ?? 0.001,
+            mass: 0,
+            inverseMass: 0,
+            friction: options.friction ?? 0.1,
+            frictionStatic: options.frictionStatic ?? 0.5,
+            frictionAir: options.frictionAir ?? 0.01,
+            restitution: options.restitution ?? 0,
+            collisionFilter: {
+                group: options.collisionFilter?.group ?? 0,
+                category: options.collisionFilter?.category ?? 0x0001,
+                mask: options.collisionFilter?.mask ?? 0xFFFFFFFF
+            },
+            vertices: [],
+            bounds: { min: { x: 0, y: 0 }, max: { x: 0, y: 0 } },
+            parts: null
+        };
+        body.parts = [body];
+        Body.setDensity(body, body.density);
+        updateVertices(body);
+        return body;
+    }
+
+    // Matter's collision filter rules: a shared non-zero group decides outright, otherwise
+    // each body's category must be in the other's mask
+    function canCollide(a, b) {
+        const filterA = a.collisionFilter;
+        const filterB = b.collisionFilter;
+        if (filterA.group === filterB.group && filterA.group !== 0) return filterA.group > 0;
+        return (filterA.mask & filterB.category) !== 0 && (filterB.mask & filterA.category) !== 0;
+    }
+
+    function polygonArea(vertices) {
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+
+    // World-space outline and bounds from the body's local outline, position and angle
+    function updateVertices(body) {
+        const cos = Math.cos(body.angle);
+        const sin = Math.sin(body.angle);
+        const { x, y } = body.position;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+        body.localVertices.forEach((local, i) => {
+            const vertex = body.vertices[i] ??= { x: 0, y: 0 };
+            vertex.x = x + local.x * cos - local.y * sin;
+            vertex.y = y + local.x * sin + local.y * cos;
+            minX = Math.min(minX, vertex.x);
+            minY = Math.min(minY, vertex.y);
+            maxX = Math.max(maxX, vertex.x);
+            maxY = Math.max(maxY, vertex.y);
+        });
+
+        body.bounds.min.x = minX;
+        body.bounds.min.y = minY;
+        body.bounds.max.x = maxX;
+        body.bounds.max.y = maxY;
+    }
+
+    const Vertices = {
+        centre(vertices) {
+            const area = polygonArea(vertices);
+            let cx = 0, cy = 0;
+            for (let i = 0; i < vertices.length; i++) {
+                const a = vertices[i];
+                const b = vertices[(i + 1) % vertices.length];
+                const cross = a.x * b.y - b.x * a.y;
+                cx += (a.x + b.x) * cross;
+                cy += (a.y + b.y) * cross;
+            }
+            return { x: cx / (6 * area), y: cy / (6 * area) };
+        }
+    };
+
+    const Bodies = {
+        // Grains collide as the circle of equal area, so packing density matches the squares
+        rectangle(x, y, width, height, options = {}) {
+            const local = [
+                { x: -width / 2, y: -height / 2 }, { x: width / 2, y: -height / 2 },
+                { x: width / 2, y: height / 2 }, { x: -width / 2, y: height / 2 }
+            ];
+            const body = createBody(options, {
+                shape: options.isStatic ? 'polygon' : 'circle',
+                radius: Math.sqrt((width * height) / Math.PI),
+                area: width * height,
+                localVertices: local
+            });
+            Body.setPosition(body, { x, y });
+            return body;
+        },
+
+        circle(x, y, radius, options = {}) {
+            const sides = 16;
+            const local = Array.from({ length: sides }, (_, i) => ({
+                x: Math.cos((i / sides) * Math.PI * 2) * radius,
+                y: Math.sin((i / sides) * Math.PI * 2) * radius
+            }));
+            const body = createBody(options, { shape: 'circle', radius, area: Math.PI * radius * radius, localVertices: local });
+            Body.setPosition(body, { x, y });
+            return body;
+        },
+
+        // Convex outlines only. Moving ones (bubbles) collide as their circumscribed circle.
+        fromVertices(x, y, [vertices], options = {}) {
+            const centre = Vertices.centre(vertices);
+            const local = vertices.map(vertex => ({ x: vertex.x - centre.x, y: vertex.y - centre.y }));
+            const body = createBody(options, {
+                shape: options.isStatic ? 'polygon' : 'circle',
+                radius: Math.max(...local.map(vertex => Math.hypot(vertex.x, vertex.y))),
+                area: Math.abs(polygonArea(local)),
+                localVertices: local
+            });
+            Body.setPosition(body, { x, y });
+            return body;
+        }
+    };
+
+    const Body = {
+        setPosition(body, position) {
+            body.position.x = body.prev.x = position.x;
+            body.position.y = body.prev.y = position.y;
+            updateVertices(body);
+        },
+        setVelocity(body, velocity) {
+            body.velocity.x = velocity.x;
+            body.velocity.y = velocity.y;
+        },
+        getVelocity(body) {
+            return { x: body.velocity.x, y: body.velocity.y };
+        },
+        setAngularVelocity(body, angularVelocity) {
+            body.angularVelocity = angularVelocity;
+        },
+        setDensity(body, density) {
+            body.density = density;
+            body.mass = density * body.area;
+            body.inverseMass = body.isStatic ? 0 : 1 / body.mass;
+        },
+        applyForce(body, point, force) {
+            body.force.x += force.x;
+            body.force.y += force.y;
+        },
+        rotate(body, rotation, point = body.position) {
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            const dx = body.position.x - point.x;
+            const dy = body.position.y - point.y;
+            body.angle += rotation;
+            Body.setPosition(body, { x: point.x + dx * cos - dy * sin, y: point.y + dx * sin + dy * cos });
+        }
+    };
+
+    // Nothing sleeps in this solver
+    const Sleeping = {
+        set() {}
+    };
+
+    const World = {
+        add(world, bodies) {
+            [].concat(bodies).forEach(body => {
+                world.bodies.push(body);
+                if (body.isStatic) world.staticDirty = true;
+            });
+        },
+        remove(world, bodies) {
+            const removed = new Set([].concat(bodies));
+            world.bodies = world.bodies.filter(body => !removed.has(body));
+            world.staticDirty = true;
+        },
+        clear(world, keepStatic = false) {
+            world.bodies = keepStatic ? world.bodies.filter(body => body.isStatic) : [];
+            world.staticDirty = true;
+        }
+    };
+
+    // Static bodies are bucketed once into a coarse grid; they only change when the world does
+    function buildStaticGrid(world, cellSize) {
+        const statics = world.bodies.filter(body => body.isStatic);
+        const dynamics = world.bodies.filter(body => !body.isStatic);
+        const extent = statics.concat(dynamics);
+        const grid = {
+            cellSize,
+            minX: Math.min(...extent.map(body => body.bounds.min.x)),
+            minY: Math.min(...extent.map(body => body.bounds.min.y)),
+            cells: new Map()
+        };
+        grid.cols = Math.ceil((Math.max(...extent.map(body => body.bounds.max.x)) - grid.minX) / cellSize) + 1;
+        grid.rows = Math.ceil((Math.max(...extent.map(body => body.bounds.max.y)) - grid.minY) / cellSize) + 1;
+
+        statics.forEach(body => {
+            // Winding decides which side of each edge is outside
+            body.winding = Math.sign(polygonArea(body.localVertices)) || 1;
+            const [c0, r0] = cellOf(grid, body.bounds.min.x - cellSize, body.bounds.min.y - cellSize);
+            const [c1, r1] = cellOf(grid, body.bounds.max.x + cellSize, body.bounds.max.y + cellSize);
+            for (let r = r0; r <= r1; r++) {
+                for (let c = c0; c <= c1; c++) {
+                    const key = r * grid.cols + c;
+                    if (!grid.cells.has(key)) grid.cells.set(key, []);
+                    grid.cells.get(key).push(body);
+                }
+            }
+        });
+
+        world.staticGrid = grid;
+        world.staticDirty = false;
+    }
+
+    function cellOf(grid, x, y) {
+        return [columnOf(grid, x), rowOf(grid, y)];
+    }
+
+    function columnOf(grid, x) {
+        return Math.max(0, Math.min(grid.cols - 1, Math.floor((x - grid.minX) / grid.cellSize)));
+    }
+
+    function rowOf(grid, y) {
+        return Math.max(0, Math.min(grid.rows - 1, Math.floor((y - grid.minY) / grid.cellSize)));
+    }
+
+    // Per-step solver state, struct-of-arrays so the contact loops stay in typed arrays
+    function createSolverState(bodies) {
+        const n = bodies.length;
+        const state = {
+            bodies,
+            x: new Float64Array(n),
+            y: new Float64Array(n),
+            prevX: new Float64Array(n),
+            prevY: new Float64Array(n),
+            radius: new Float64Array(n),
+            inverseMass: new Float64Array(n),
+            friction: new Float64Array(n),
+            frictionStatic: new Float64Array(n),
+            touching: new Uint8Array(n),
+            contacts: null
+        };
+        bodies.forEach((body, i) => {
+            state.x[i] = body.position.x;
+            state.y[i] = body.position.y;
+            state.prevX[i] = body.prev.x;
+            state.prevY[i] = body.prev.y;
+            state.radius[i] = body.radius;
+            state.inverseMass[i] = body.inverseMass;
+            state.friction[i] = body.friction;
+            state.frictionStatic[i] = body.frictionStatic;
+        });
+        return state;
+    }
+
+    // Move bodies i and j apart along n by depth, split by inverse mass (wi + wj = 1), then
+    // cancel tangential slip this step up to the Coulomb limit of the contact
+    function resolveContact(state, i, j, wi, wj, nx, ny, depth, friction, frictionStatic) {
+        const { x, y, prevX, prevY } = state;
+        x[i] -= nx * depth * wi;
+        y[i] -= ny * depth * wi;
+        if (j >= 0) {
+            x[j] += nx * depth * wj;
+            y[j] += ny * depth * wj;
+        }
+
+        const rx = (j >= 0 ? x[j] - prevX[j] : 0) - (x[i] - prevX[i]);
+        const ry = (j >= 0 ? y[j] - prevY[j] : 0) - (y[i] - prevY[i]);
+        const along = rx * nx + ry * ny;
+        const tx = rx - along * nx;
+        const ty = ry - along * ny;
+        const slip = Math.sqrt(tx * tx + ty * ty);
+        state.touching[i] = 1;
+        if (j >= 0) state.touching[j] = 1;
+        // Contacts for the debug overlay (last iteration only): point, normal and the overlap still left,
+        // which grows with the load a contact carries
+        state.contacts?.push(x[i] + nx * state.radius[i], y[i] + ny * state.radius[i], nx, ny, depth);
+        if (slip < 1e-9) return;
+
+        const scale = slip < depth * frictionStatic ? 1 : Math.min(1, (depth * friction) / slip);
+        x[i] += tx * scale * wi;
+        y[i] += ty * scale * wi;
+        if (j >= 0) {
+            x[j] -= tx * scale * wj;
+            y[j] -= ty * scale * wj;
+        }
+    }
+
+    function collideCircles(state, i, j) {
+        const dx = state.x[j] - state.x[i];
+        const dy = state.y[j] - state.y[i];
+        const reach = state.radius[i] + state.radius[j];
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq >= reach * reach || distanceSq === 0) return;
+
+        const total = state.inverseMass[i] + state.inverseMass[j];
+        const distance = Math.sqrt(distanceSq);
+        resolveContact(
+            state, i, j, state.inverseMass[i] / total, state.inverseMass[j] / total,
+            dx / distance, dy / distance, reach - distance,
+            (state.friction[i] + state.friction[j]) / 2,
+            (state.frictionStatic[i] + state.frictionStatic[j]) / 2
+        );
+    }
+
+    // Body i against a static body; only the moving body is corrected
+    function collideStatic(state, i, staticBody) {
+        const x = state.x[i];
+        const y = state.y[i];
+        const radius = state.radius[i];
+        const friction = (state.friction[i] + staticBody.friction) / 2;
+        const frictionStatic = (state.frictionStatic[i] + staticBody.frictionStatic) / 2;
+
+        if (staticBody.shape === 'circle') {
+            const dx = x - staticBody.position.x;
+            const dy = y - staticBody.position.y;
+            const reach = radius + staticBody.radius;
+            const distanceSq = dx * dx + dy * dy;
+            if (distanceSq >= reach * reach || distanceSq === 0) return;
+            const distance = Math.sqrt(distanceSq);
+            // Body i is pushed against the normal it is handed, so pass the inward direction
+            resolveContact(state, i, -1, 1, 0, -dx / distance, -dy / distance, reach - distance, friction, frictionStatic);
+            return;
+        }
+
+        const bounds = staticBody.bounds;
+        if (x + radius < bounds.min.x || x - radius > bounds.max.x || y + radius < bounds.min.y || y - radius > bounds.max.y) {
+            return;
+        }
+
+        // Convex polygon: push out through the nearest edge
+        const vertices = staticBody.vertices;
+        let inside = true;
+        let bestDistance = Infinity, bestNx = 0, bestNy = 0;
+
+        for (let v = 0; v < vertices.length; v++) {
+            const a = vertices[v];
+            const b = vertices[(v + 1) % vertices.length];
+            const ex = b.x - a.x;
+            const ey = b.y - a.y;
+            const lengthSq = ex * ex + ey * ey;
+            const length = Math.sqrt(lengthSq);
+            // Outward edge normal
+            const nx = (ey / length) * staticBody.winding;
+            const ny = (-ex / length) * staticBody.winding;
+            if ((x - a.x) * nx + (y - a.y) * ny > 0) inside = false;
+
+            const t = Math.max(0, Math.min(1, ((x - a.x) * ex + (y - a.y) * ey) / lengthSq));
+            const cx = x - (a.x + ex * t);
+            const cy = y - (a.y + ey * t);
+            const distance = Math.sqrt(cx * cx + cy * cy);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestNx = distance > 1e-9 ? cx / distance : nx;
+                bestNy = distance > 1e-9 ? cy / distance : ny;
+            }
+        }
+
+        // A centre already inside leaves through the closest edge, facing the other way
+        const sign = inside ? -1 : 1;
+        const depth = inside ? radius + bestDistance : radius - bestDistance;
+        if (depth <= 0) return;
+        // resolveContact moves body i against the normal, so hand it the inward direction
+        resolveContact(state, i, -1, 1, 0, -bestNx * sign, -bestNy * sign, depth, friction, frictionStatic);
+    }
+
+    const Engine = {
+        create() {
+            return {
+                world: { gravity: { x: 0, y: 1, scale: 0.001 }, bodies: [], staticDirty: true, staticGrid: null },
+                velocityIterations: 4,
+                positionIterations: 6,
+                // Set recordContacts to have each update leave its contacts in engine.contacts
+                recordContacts: false,
+                contacts: null,
+                stats: null,
+                isGranular: true
+            };
+        },
+
+        clear() {},
+
+        update(engine, delta = BASE_DELTA) {
+            const world = engine.world;
+            const ratio = delta / BASE_DELTA;
+            const gravity = world.gravity;
+            const dynamics = world.bodies.filter(body => !body.isStatic);
+            if (dynamics.length === 0) return;
+
+            // Integrate forces, gravity and air drag into a predicted position
+            dynamics.forEach(body => {
+                const drag = 1 - body.frictionAir * ratio;
+                body.velocity.x = body.velocity.x * drag + (gravity.x * gravity.scale + body.force.x * body.inverseMass) * delta * BASE_DELTA;
+                body.velocity.y = body.velocity.y * drag + (gravity.y * gravity.scale + body.force.y * body.inverseMass) * delta * BASE_DELTA;
+                body.prev.x = body.position.x;
+                body.prev.y = body.position.y;
+                body.position.x += body.velocity.x * ratio;
+                body.position.y += body.velocity.y * ratio;
+                body.force.x = body.force.y = 0;
+            });
+
+            // Small bodies (grains) go in the hash; larger ones (bubbles) search it. Grain sizes vary
+            // by layer and material, so small is judged against the typical (median) body.
+            const radii = Float64Array.from(dynamics, body => body.radius).sort();
+            const smallLimit = (radii[radii.length >> 1] ?? 0) * 1.5;
+            const small = dynamics.filter(body => body.radius <= smallLimit);
+            const large = dynamics.filter(body => body.radius > smallLimit);
+            let maxSmallRadius = 0;
+            small.forEach(body => { maxSmallRadius = Math.max(maxSmallRadius, body.radius); });
+            const cellSize = 2 * maxSmallRadius;
+            if (world.staticDirty || world.staticGrid?.cellSize !== cellSize) buildStaticGrid(world, cellSize);
+            const grid = world.staticGrid;
+
+            // Solver indices: small bodies first, then large
+            const state = createSolverState(small.concat(large));
+            const smallCount = small.length;
+
+            // Bucket small bodies by cell
+            const cellCount = grid.cols * grid.rows;
+            const { cellStart, sorted } = bucketByCell(smallCount, cellCount, i => rowOf(grid, state.y[i]) * grid.cols + columnOf(grid, state.x[i]));
+
+            // Candidate pairs are found once per step, keeping only bodies already close
+            // enough to touch within the step, and then solved repeatedly
+            let pairs = world.pairBuffer ??= new Int32Array(4096);
+            let pairCount = 0;
+            const staticPairs = [];
+            const margin = maxSmallRadius * 0.5;
+            const addPair = (i, j) => {
+                if (pairCount + 2 > pairs.length) {
+                    const grown = new Int32Array(pairs.length * 2);
+                    grown.set(pairs);
+                    pairs = world.pairBuffer = grown;
+                }
+                pairs[pairCount++] = i;
+                pairs[pairCount++] = j;
+            };
+            const gather = (i, c0, r0, c1, r1, minIndex) => {
+                for (let r = r0; r <= r1; r++) {
+                    for (let c = c0; c <= c1; c++) {
+                        const key = r * grid.cols + c;
+                        for (let k = cellStart[key]; k < cellStart[key + 1]; k++) {
+                            const j = sorted[k];
+                            if (j <= minIndex) continue;
+                            const dx = state.x[j] - state.x[i];
+                            const dy = state.y[j] - state.y[i];
+                            const reach = state.radius[i] + state.radius[j] + margin;
+                            if (dx * dx + dy * dy > reach * reach) continue;
+                            if (canCollide(state.bodies[i], state.bodies[j])) addPair(i, j);
+                        }
+                    }
+                }
+            };
+
+            for (let i = 0; i < smallCount; i++) {
+                const c = columnOf(grid, state.x[i]);
+                const r = rowOf(grid, state.y[i]);
+                gather(i, Math.max(0, c - 1), Math.max(0, r - 1), Math.min(grid.cols - 1, c + 1), Math.min(grid.rows - 1, r + 1), i);
+                const statics = grid.cells.get(r * grid.cols + c);
+                if (statics) {
+                    for (let k = 0; k < statics.length; k++) {
+                        if (canCollide(state.bodies[i], statics[k])) staticPairs.push(i, statics[k]);
+                    }
+                }
+            }
+            for (let i = smallCount; i < state.bodies.length; i++) {
+                const reach = state.radius[i] + cellSize;
+                const [c0, r0] = cellOf(grid, state.x[i] - reach, state.y[i] - reach);
+                const [c1, r1] = cellOf(grid, state.x[i] + reach, state.y[i] + reach);
+                gather(i, c0, r0, c1, r1, -1);
+                // Few large bodies, so they are simply paired with each other
+                for (let j = i + 1; j < state.bodies.length; j++) {
+                    if (canCollide(state.bodies[i], state.bodies[j])) addPair(i, j);
+                }
+
+                const seen = new Set();
+                for (let r = r0; r <= r1; r++) {
+                    for (let c = c0; c <= c1; c++) {
+                        grid.cells.get(r * grid.cols + c)?.forEach(staticBody => {
+                            if (!seen.has(staticBody)) {
+                                seen.add(staticBody);
+                                if (canCollide(state.bodies[i], staticBody)) staticPairs.push(i, staticBody);
+                            }
+                        });
+                    }
+                }
+            }
+
+            // Broadphase figures for the debug HUD
+            engine.stats = {
+                cells: cellCount,
+                hashed: smallCount,
+                searched: large.length,
+                pairs: pairCount / 2,
+                staticPairs: staticPairs.length / 2
+            };
+
+            for (let iteration = 0; iteration < engine.positionIterations; iteration++) {
+                if (engine.recordContacts && iteration === engine.positionIterations - 1) state.contacts = [];
+                for (let p = 0; p < pairCount; p += 2) collideCircles(state, pairs[p], pairs[p + 1]);
+                for (let p = 0; p < staticPairs.length; p += 2) collideStatic(state, staticPairs[p], staticPairs[p + 1]);
+            }
+
+            // Velocities come from the corrected positions; touching bodies roll with their motion
+            state.bodies.forEach((body, i) => {
+                body.position.x = state.x[i];
+                body.position.y = state.y[i];
+                body.velocity.x = (body.position.x - body.prev.x) / ratio;
+                body.velocity.y = (body.position.y - body.prev.y) / ratio;
+                if (state.touching[i]) {
+                    body.angularVelocity = body.angularVelocity * 0.8 + 0.2 * (body.velocity.x / body.radius);
+                }
+                body.angle += body.angularVelocity * ratio;
+                updateVertices(body);
+            });
+            engine.contacts = state.contacts;
+        }
+    };
+
+    return { Engine, World, Bodies, Body, Sleeping, Vertices };
+})();
+
+// Physics backends, selected by simulation.engine; both expose the same Matter-style API
+const PHYSICS_BACKENDS = {
+    // The page loads Matter from a CDN; under Node it comes from the matter-js package
+    matter: () => (typeof Matter !== 'undefined' ? Matter : require('matter-js')),
+    granular: () => GranularPhysics
+};
+
+// Collision categories: liquid droplets only touch the frame and container (default category);
+// among themselves and with grains and bubbles they interact through relaxLiquids() instead
+const COLLISION_CATEGORIES = {
+    default: 0x0001,
+    sand: 0x0002,
+    bubble: 0x0004,
+    liquid: 0x0008
+};
+
+// Emits "settled" once the sand has come to rest, "flipped" when an animated turn completes and
+// "bubblefreed" when a stuck bubble breaks free; while reportCollisions is set, "collisions" every step
+class SandArtCore extends EventTarget {
+    constructor(config, options = {}) {
+        super();
+        this.config = config;
+
+        const engineName = config.simulation.engine ?? 'matter';
+        if (!PHYSICS_BACKENDS[engineName]) {
+            const available = Object.keys(PHYSICS_BACKENDS).join(', ');
+            throw new Error(`Unknown simulation.engine "${engineName}" (available: ${available})`);
+        }
+        this.physics = PHYSICS_BACKENDS[engineName]();
+
+        // Every random choice comes from this seed; log it so an unseeded run can be repeated
+        this.seed = config.simulation.seed ?? randomSeed();
+        this.random = createRandom(this.seed);
+        console.log(`Simulation seed: ${this.seed}`);
+
+        // Fixed-step bookkeeping and the action log for replays
+        this.stepMs = 1000 / 60;
+        this.stepCount = 0;
+        this.recording = {
+            version: 1,
+            seed: this.seed,
+            config: structuredClone(config),
+            snapshot: options.snapshot ?? null,
+            actions: []
+        };
+        this.replayActions = options.replay ? [...options.replay] : null;
+        // Engine time spent since a view last read and reset it
+        this.perf = { steps: 0, engineMs: 0 };
+        // Settle tracking: consecutive calm steps, and whether the engine is idling because everything sleeps
+        this.calmSteps = 0;
+        this.settled = false;
+        this.asleep = false;
+        this.sandParticles = [];
+        this.bubbles = [];
+        this.droplets = [];
+
+        // Frame rotation (radians, clockwise on screen); physics stays in frame coordinates.
+        // dragRotation is set by a view while someone is turning the frame by hand.
+        this.frameAngle = 0;
+        this.rotation = null;
+        this.dragRotation = null;
+
+        // emitterState tracks each config.emitters entry's pour
+        this.emitterState = [];
+
+        // Summing collisions for "collisions" events costs a pass over every contact, so only when asked
+        this.reportCollisions = false;
+        // Have the granular engine keep each update's contacts (Matter always has them in its pairs)
+        this.recordContacts = false;
+
+        // Physics world dimensions (fixed)
+        this.worldWidth = config.canvas.width;
+        this.worldHeight = config.canvas.height;
+
+        this.initPhysics();
+        if (options.snapshot) {
+            this.restoreSnapshot(options.snapshot);
+        } else {
+            this.createInitialLayout();
+        }
+    }
+
+    initPhysics() {
+        // Create the engine of the selected physics backend
+        this.engine = this.physics.Engine.create();
+        this.engine.enableSleeping = this.config.simulation.enableSleeping ?? true;
+        this.updateGravity();
+        this.engine.velocityIterations = this.config.simulation.engineOptions.velocityIterations;
+        this.engine.positionIterations = this.config.simulation.engineOptions.positionIterations;
+        this.setupCollisionEvents();
+
+        // Create boundaries using world dimensions (physics stays constant).
+        // Walls run past the corners so a grain squeezed into one is pushed back inside, not out between walls.
+        // They share the container's surface (container.material, friction and restitution).
+        const wall = { isStatic: true, ...this.getContainerMaterial() };
+        const boundaries = [
+            this.physics.Bodies.rectangle(this.worldWidth / 2, this.worldHeight + 25, this.worldWidth + 100, 50, wall),  // Bottom
+            this.physics.Bodies.rectangle(-25, this.worldHeight / 2, 50, this.worldHeight + 100, wall),                  // Left
+            this.physics.Bodies.rectangle(this.worldWidth + 25, this.worldHeight / 2, 50, this.worldHeight + 100, wall), // Right
+            this.physics.Bodies.rectangle(this.worldWidth / 2, -25, this.worldWidth + 100, 50, wall)                     // Top
+        ];
+
+        this.physics.World.add(this.engine.world, boundaries);
+        this.createContainer();
+        console.log('Physics engine initialized');
+    }
+
+    // Sum Matter's collision events over each step: impact energy from new contacts, sliding energy from
+    // ongoing ones, and the grains' pitch weighted by both. The granular backend reports no collisions.
+    setupCollisionEvents() {
+        this.collisionTotals = { impact: 0, slide: 0, pitch: 0 };
+        if (!this.physics.Events) {
+            console.log('The granular engine reports no collisions, so only bubbles make sound');
+            return;
+        }
+        this.physics.Events.on(this.engine, 'collisionStart', ({ pairs }) => this.addCollisions(pairs, true));
+        this.physics.Events.on(this.engine, 'collisionActive', ({ pairs }) => this.addCollisions(pairs, false));
+    }
+
+    addCollisions(pairs, started) {
+        if (!this.reportCollisions) return;
+        const totals = this.collisionTotals;
+        for (let i = 0; i < pairs.length; i++) {
+            const pair = pairs[i];
+            const a = pair.bodyA.parent;
+            const b = pair.bodyB.parent;
+            // Only contacts involving sand make a sound, pitched by the grain (either one, if both are)
+            const pitch = a.soundPitch ?? b.soundPitch;
+            if (pitch === undefined) continue;
+
+            const normal = pair.collision.normal;
+            const vx = a.velocity.x - b.velocity.x;
+            const vy = a.velocity.y - b.velocity.y;
+            const along = vx * normal.x + vy * normal.y;
+            // Energies per unit mass, so loudness doesn't depend on how dense the grains are
+            const energy = started
+                ? 0.5 * along * along
+                : pair.friction * Math.sqrt(Math.max(0, vx * vx + vy * vy - along * along));
+            if (started) totals.impact += energy; else totals.slide += energy;
+            totals.pitch += pitch * energy;
+        }
+    }
+
+    // One "collisions" event per step with the summed energies and their average pitch
+    reportStepCollisions() {
+        const { impact, slide, pitch } = this.collisionTotals;
+        if (impact + slide > 0) {
+            this.dispatchEvent(new CustomEvent('collisions', {
+                detail: { step: this.stepCount, impact, slide, pitch: pitch / (impact + slide) }
+            }));
+        }
+        this.collisionTotals = { impact: 0, slide: 0, pitch: 0 };
+    }
+
+    // A bubble breaks free when it starts rising after being held still for a while ("bubblefreed")
+    detectFreedBubbles() {
+        const up = this.getUpVector();
+        this.bubbles.forEach(bubble => {
+            const velocity = this.physics.Body.getVelocity(bubble);
+            const rising = velocity.x * up.x + velocity.y * up.y;
+            if (Math.abs(velocity.x) + Math.abs(velocity.y) < 0.1) {
+                bubble.heldSteps = (bubble.heldSteps ?? 0) + 1;
+            } else if (rising > 0.5) {
+                if (bubble.heldSteps >= 30) {
+                    this.dispatchEvent(new CustomEvent('bubblefreed', {
+                        detail: { step: this.stepCount, radius: bubble.outerRadius }
+                    }));
+                }
+                bubble.heldSteps = 0;
+            }
+        });
+    }
+
+    createContainer() {
+        const container = this.config.container ?? {};
+        this.containerBodies = [];
+
+        (container.parts ?? []).forEach((part, index) => {
+            const builder = CONTAINER_PART_BUILDERS[part.type];
+            if (!builder) {
+                const available = Object.keys(CONTAINER_PART_BUILDERS).join(', ');
+                throw new Error(`Unknown type "${part.type}" for container.parts[${index}] (available: ${available})`);
+            }
+
+            const bodies = builder(part, { isStatic: true, ...this.getContainerMaterial(part) }, this.physics);
+            this.containerBodies.push(...bodies);
+        });
+
+        this.physics.World.add(this.engine.world, this.containerBodies);
+        this.containerChanged();
+        console.log(`Created ${this.containerBodies.length} container bodies`);
+    }
+
+    createInitialLayout() {
+        this.createBubbles();
+        this.createSandParticles();
+        this.createLiquids();
+    }
+
+    createBubbles() {
+        const options = this.config.bubbles;
+        const sizeName = options.sizeDistribution ?? 'fixed';
+        const shapeName = options.shape ?? 'hexagon';
+        if (!BUBBLE_SIZE_DISTRIBUTIONS[sizeName]) {
+            const available = Object.keys(BUBBLE_SIZE_DISTRIBUTIONS).join(', ');
+            throw new Error(`Unknown bubbles.sizeDistribution "${sizeName}" (available: ${available})`);
+        }
+        if (!BUBBLE_SHAPES[shapeName]) {
+            const available = Object.keys(BUBBLE_SHAPES).join(', ');
+            throw new Error(`Unknown bubbles.shape "${shapeName}" (available: ${available})`);
+        }
+
+        this.bubbleContacts = new Map();
+        if (options.count === 0) return;
+
+        // Radii are drawn first so placement can keep the largest bubble clear of the walls
+        const radii = Array.from({ length: options.count }, () => BUBBLE_SIZE_DISTRIBUTIONS[sizeName](options, this.random));
+        const largest = Math.max(0, ...radii);
+        // Poisson-disk placement keeps bubble centres at least bubbles.spacing apart. When that many
+        // don't fit, the spacing closes in step by step until they do or the bubbles would touch.
+        const touching = largest * 2;
+        const place = spacing => SAND_FILL_STRATEGIES.poisson_disk(this.getBubbleRegion(), {
+            count: options.count,
+            size: touching,
+            gridSpacing: spacing - touching
+        }, this.random);
+        let spacing = Math.max(touching, options.spacing ?? touching);
+        let positions = place(spacing);
+        while (positions.length < options.count && spacing > touching) {
+            spacing = Math.max(touching, spacing * 0.9);
+            positions = place(spacing);
+        }
+        if (positions.length < options.count) {
+            console.warn(`Only ${positions.length} of ${options.count} bubbles fit, even touching`);
+        } else if (spacing < (options.spacing ?? touching)) {
+            console.log(`Placed bubbles ${spacing.toFixed(1)} apart so all ${options.count} fit at bubbles.spacing ${options.spacing}`);
+        }
+
+        positions.forEach(({ x, y }, i) => {
+            // Lift scales buoyancy with area relative to a bubble of bubbles.radius
+            const bubble = this.spawnBubble(x, y, radii[i], (radii[i] / options.radius) ** 2);
+
+            // Apply initial upward buoyancy force
+            const up = this.getUpVector();
+            const force = options.buoyancyForce * bubble.lift;
+            this.physics.Body.applyForce(bubble, bubble.position, { x: up.x * force, y: up.y * force });
+        });
+
+        console.log(`Created ${positions.length} bubbles (${sizeName} sizes, ${shapeName} shape)`);
+    }
+
+    getBubbleRegion() {
+        // Bubbles start in a band between 60% and 90% of the way down the frame
+        return { x: 0, y: this.worldHeight * 0.6, width: this.worldWidth, height: this.worldHeight * 0.3 };
+    }
+
+    // Add a bubble of the configured shape to the world; lift multiplies its buoyancy
+    spawnBubble(x, y, radius, lift) {
+        const bubble = this.createBubbleBody(x, y, BUBBLE_SHAPES[this.config.bubbles.shape ?? 'hexagon'](radius, this.config.bubbles));
+        bubble.outerRadius = radius;
+        bubble.lift = lift;
+        this.bubbles.push(bubble);
+        this.physics.World.add(this.engine.world, bubble);
+        return bubble;
+    }
+
+    createBubbleBody(x, y, vertices) {
+        // Make bubble subject to buoyancy
+        return this.physics.Bodies.fromVertices(x, y, [vertices], {
+            ...this.getBubbleMaterial(),
+            collisionFilter: { category: COLLISION_CATEGORIES.bubble }
+        });
+    }
+
+    // Bubbles that stay in contact for bubbles.mergeAfter steps join into one of their combined area
+    mergeBubbles() {
+        const mergeAfter = this.config.bubbles.mergeAfter ?? 0;
+        if (!mergeAfter) return;
+
+        // Pairs that stop touching drop out of the map and start again from zero
+        const contacts = new Map();
+        const ready = [];
+        this.bubbles.forEach((a, i) => {
+            for (let j = i + 1; j < this.bubbles.length; j++) {
+                const b = this.bubbles[j];
+                const reach = a.outerRadius + b.outerRadius + 1;
+                const dx = b.position.x - a.position.x;
+                const dy = b.position.y - a.position.y;
+                if (dx * dx + dy * dy > reach * reach) continue;
+
+                const key = `${a.id}:${b.id}`;
+                const steps = (this.bubbleContacts.get(key) ?? 0) + 1;
+                contacts.set(key, steps);
+                if (steps >= mergeAfter) ready.push([a, b]);
+            }
+        });
+        this.bubbleContacts = contacts;
+
+        const merged = new Set();
+        ready.forEach(([a, b]) => {
+            if (merged.has(a) || merged.has(b)) return;
+            merged.add(a);
+            merged.add(b);
+
+            // Area-weighted centre and momentum-conserving velocity
+            const areaA = a.outerRadius ** 2, areaB = b.outerRadius ** 2;
+            const share = areaA / (areaA + areaB);
+            const x = a.position.x * share + b.position.x * (1 - share);
+            const y = a.position.y * share + b.position.y * (1 - share);
+            const massShare = a.mass / (a.mass + b.mass);
+            const velocity = {
+                x: a.velocity.x * massShare + b.velocity.x * (1 - massShare),
+                y: a.velocity.y * massShare + b.velocity.y * (1 - massShare)
+            };
+
+            this.removeBubble(a);
+            this.removeBubble(b);
+            // The merged bubble lifts as both did
+            const bubble = this.spawnBubble(x, y, Math.sqrt(areaA + areaB), a.lift + b.lift);
+            this.physics.Body.setVelocity(bubble, velocity);
+        });
+        if (merged.size) console.log(`Merged ${merged.size} bubbles; ${this.bubbles.length} remain`);
+    }
+
+    removeBubble(bubble) {
+        this.physics.World.remove(this.engine.world, bubble);
+        this.bubbles.splice(this.bubbles.indexOf(bubble), 1);
+    }
+
+    // What happens to a bubble that rises to the top of the frame: bubbles.atSurface is
+    // "stay" (it collects there), "pop" (it is removed) or "respawn" (it starts again at the bottom)
+    handleSurfacedBubbles() {
+        const mode = this.config.bubbles.atSurface ?? 'stay';
+        if (mode === 'stay') return;
+
+        // The surface is the frame edge furthest along the current up direction
+        const up = this.getUpVector();
+        const halfExtent = (Math.abs(up.x) * this.worldWidth + Math.abs(up.y) * this.worldHeight) / 2;
+        const centreX = this.worldWidth / 2, centreY = this.worldHeight / 2;
+
+        this.bubbles.filter(bubble => {
+            const height = (bubble.position.x - centreX) * up.x + (bubble.position.y - centreY) * up.y;
+            return height + bubble.outerRadius >= halfExtent - 2;
+        }).forEach(bubble => {
+            if (mode === 'pop') {
+                this.removeBubble(bubble);
+                return;
+            }
+
+            // Back to a free spot along the bottom edge, at rest. Under settled sand there is none,
+            // so the bubble stays at the surface and only tries again a while later.
+            if (this.stepCount < (bubble.respawnAfter ?? 0)) return;
+            const across = { x: -up.y, y: up.x };
+            const acrossExtent = (Math.abs(across.x) * this.worldWidth + Math.abs(across.y) * this.worldHeight) / 2;
+            const depth = halfExtent - bubble.outerRadius - 2;
+            for (let attempt = 0; attempt < 4; attempt++) {
+                const offset = (this.random() * 2 - 1) * Math.max(0, acrossExtent - bubble.outerRadius);
+                const x = centreX - up.x * depth + across.x * offset;
+                const y = centreY - up.y * depth + across.y * offset;
+                if (!this.isFree(x, y, bubble.outerRadius)) continue;
+                this.physics.Body.setPosition(bubble, { x, y });
+                this.physics.Body.setVelocity(bubble, { x: 0, y: 0 });
+                this.physics.Sleeping.set(bubble, false);
+                return;
+            }
+            bubble.respawnAfter = this.stepCount + 60;
+        });
+    }
+
+    getFillRegion() {
+        // Sand starts in the top 40% of the frame
+        return { x: 0, y: 0, width: this.worldWidth, height: this.worldHeight * 0.4 };
+    }
+
+    createSandParticles() {
+        const strategyName = this.config.particles.fillStrategy ?? 'grid_jitter';
+        const strategy = SAND_FILL_STRATEGIES[strategyName];
+
+        if (!strategy) {
+            const available = Object.keys(SAND_FILL_STRATEGIES).join(', ');
+            throw new Error(`Unknown particles.fillStrategy "${strategyName}" (available: ${available})`);
+        }
+
+        // The strategy fills the whole region once, so mounds and bands keep their shape across palette layers
+        const particles = this.config.particles;
+        const positions = strategy(this.getFillRegion(), particles, this.random);
+        if (positions.length < particles.count) {
+            console.warn(`Only ${positions.length} of ${particles.count} grains fit using "${strategyName}" fill`);
+        }
+
+        const layers = this.config.colors.layers ?? [];
+        const layerIndices = this.getSandLayerIndices(positions);
+        positions.forEach(({ x, y, band }, i) => {
+            const layer = layers[layerIndices[i]] ?? null;
+            this.sandParticles.push(this.createGrain(x, y, layer?.size ?? particles.size, layer, band ?? layerIndices[i] ?? 0));
+        });
+
+        this.physics.World.add(this.engine.world, this.sandParticles);
+        this.grainsChanged();
+        console.log(`Created ${this.sandParticles.length} sand particles in ${layers.length || 1} layer(s) using "${strategyName}" fill`);
+    }
+
+    // A new grain at a random angle. layer is a colors.layers entry, or any { color, material }
+    // for grains painted or poured in later.
+    createGrain(x, y, size, layer, band = 0) {
+        const rotation = this.random() * Math.PI * 2;
+        const particle = this.createSandBody(x, y, size, this.getSandMaterial(layer), rotation);
+
+        // Store initial y coordinate and layer for color variation
+        particle.initialY = y;
+        particle.band = band;
+        particle.layer = layer;
+        particle.color = this.getSandParticleColor(particle);
+        return particle;
+    }
+
+    // outline is only for irregular grains, to rebuild one exactly; new ones get a random outline
+    createSandBody(x, y, size, material, angle, outline) {
+        const build = GRAIN_SHAPES[material.shape];
+        if (!build) {
+            const available = Object.keys(GRAIN_SHAPES).join(', ');
+            throw new Error(`Unknown grain shape "${material.shape}" (available: ${available})`);
+        }
+        if (material.shape === 'irregular') outline ??= irregularOutline(size, this.random);
+
+        const { shape, pitch, ...properties } = material;
+        const particle = build(this.physics, x, y, size, {
+            ...properties,
+            angle,
+            collisionFilter: { category: COLLISION_CATEGORIES.sand }
+        }, outline);
+        particle.size = size;
+        particle.grainShape = shape;
+        particle.outline = outline ?? null;
+        // Smaller grains sound higher; a 6-unit grain sounds at its material's pitch
+        particle.soundPitch = pitch * Math.sqrt(6 / size);
+        return particle;
+    }
+
+    // Materials (config.materials) name a set of body properties. A body's material fills in
+    // over the global settings, so anything it leaves out keeps the physics.* behaviour.
+    getMaterial(name, base) {
+        if (name === undefined) return base;
+        const material = this.config.materials?.[name];
+        if (!material) {
+            const available = Object.keys(this.config.materials ?? {}).join(', ');
+            throw new Error(`Unknown material "${name}" (available: ${available})`);
+        }
+        return { ...base, ...material };
+    }
+
+    // Sand takes its palette layer's material, else particles.material
+    getSandMaterial(layer) {
+        const physics = this.config.physics;
+        const material = this.getMaterial(layer?.material ?? this.config.particles.material, {
+            friction: physics.friction ?? 0.1,
+            frictionStatic: 0.5,
+            restitution: physics.elasticity,
+            density: this.config.particles.density,
+            frictionAir: physics.sandDrag,
+            shape: 'square',
+            pitch: 1
+        });
+        // A layer's own density is more specific than its material's
+        return layer?.density === undefined ? material : { ...material, density: layer.density };
+    }
+
+    // Bubble shapes come from bubbles.shape, so a material's shape doesn't apply to them
+    getBubbleMaterial() {
+        const { shape, pitch, ...material } = this.getMaterial(this.config.bubbles.material, {
+            friction: 0.1,
+            frictionStatic: 0.5,
+            restitution: this.config.physics.elasticity,
+            density: this.config.bubbles.density,
+            frictionAir: this.config.physics.bubbleDrag
+        });
+        return material;
+    }
+
+    // Frame walls and container parts: container-wide surface, then the material, then the part's own values
+    getContainerMaterial(part = {}) {
+        const container = this.config.container ?? {};
+        const { friction, restitution } = this.getMaterial(part.material ?? container.material, {
+            friction: container.friction ?? 0.1,
+            restitution: container.restitution ?? 0
+        });
+        return {
+            friction: part.friction ?? friction,
+            restitution: part.restitution ?? restitution
+        };
+    }
+
+    // Re-resolve every grain's and bubble's material after a live settings change
+    applyMaterials() {
+        const apply = (body, material) => {
+            body.friction = material.friction;
+            body.frictionStatic = material.frictionStatic;
+            body.restitution = material.restitution;
+            body.frictionAir = material.frictionAir;
+            if (body.density !== material.density) this.physics.Body.setDensity(body, material.density);
+        };
+        this.sandParticles.forEach(particle => apply(particle, this.getSandMaterial(particle.layer)));
+        const bubbleMaterial = this.getBubbleMaterial();
+        this.bubbles.forEach(bubble => apply(bubble, bubbleMaterial));
+    }
+
+    getSandLayerIndices(positions) {
+        // colors.layers lists bands top to bottom; each takes the share of the grains its thickness
+        // is of the total, highest grains first, so the palette follows the fill's own shape
+        const layers = this.config.colors.layers ?? [];
+        const totalThickness = layers.reduce((sum, layer) => sum + (layer.thickness ?? 1), 0);
+        const topDown = positions.map((_, i) => i).sort((a, b) => positions[a].y - positions[b].y);
+        const indices = new Array(positions.length);
+        let start = 0, thickness = 0;
+
+        layers.forEach((layer, layerIndex) => {
+            thickness += layer.thickness ?? 1;
+            const end = Math.round(positions.length * thickness / totalThickness);
+            for (let k = start; k < end; k++) indices[topDown[k]] = layerIndex;
+            start = end;
+        });
+        return indices;
+    }
+
+    getLiquidRegion() {
+        // Liquid fills the bottom of the frame, liquids.fill being its share of the height
+        const height = this.worldHeight * (this.config.liquids?.fill ?? 0.3);
+        return { x: 0, y: this.worldHeight - height, width: this.worldWidth, height };
+    }
+
+    createLiquids() {
+        const liquids = this.config.liquids;
+        const layers = liquids?.layers ?? [];
+        if (layers.length === 0) return;
+
+        // liquids.layers lists bands top to bottom like colors.layers; thickness is relative
+        const region = this.getLiquidRegion();
+        const totalThickness = layers.reduce((sum, liquid) => sum + (liquid.thickness ?? 1), 0);
+        const spacing = liquids.spacing ?? liquids.dropletRadius * 2;
+        let y = region.y;
+
+        layers.forEach((liquid, liquidIndex) => {
+            const height = region.height * (liquid.thickness ?? 1) / totalThickness;
+            const band = { x: region.x, y, width: region.width, height };
+            // Droplets start on a jittered grid so the band begins at its rest density
+            SAND_FILL_STRATEGIES.grid_jitter(band, { count: Infinity, size: 0, gridSpacing: spacing, jitterAmount: spacing / 4 }, this.random)
+                .forEach(({ x, y }) => this.droplets.push(this.createDroplet(x, y, liquidIndex)));
+            y += height;
+        });
+
+        this.physics.World.add(this.engine.world, this.droplets);
+        console.log(`Created ${this.droplets.length} liquid droplets in ${layers.length} layer(s)`);
+    }
+
+    createDroplet(x, y, liquidIndex) {
+        const liquids = this.config.liquids;
+        const droplet = this.physics.Bodies.circle(x, y, liquids.dropletRadius, {
+            density: liquids.layers[liquidIndex].density,
+            frictionAir: liquids.frictionAir ?? 0.02,
+            friction: 0,
+            restitution: 0,
+            // Droplets never sleep: a sleeping one would stop relaxing and freeze the layers mid-mix
+            sleepThreshold: Infinity,
+            collisionFilter: { category: COLLISION_CATEGORIES.liquid, mask: COLLISION_CATEGORIES.default }
+        });
+        droplet.liquid = liquidIndex;
+        return droplet;
+    }
+
+    // Position-based SPH in the style of double density relaxation. Droplets closer than the
+    // smoothing radius push apart by their pressure; same-liquid pairs also pull together
+    // (cohesion) and different liquids are pushed apart at their interface, so they stay
+    // immiscible. A droplet lighter than the mix as a whole is buoyed up (and a heavier one
+    // sinks) by gravity scaled by the density difference. That acts throughout each layer,
+    // not just at the interface, so layers turned upside down by a flip sort themselves out.
+    // Grains and bubbles take part as solid neighbours: they displace liquid, are floated
+    // by it in proportion to its density and are dragged along with its flow.
+    relaxLiquids() {
+        const droplets = this.droplets;
+        if (droplets.length === 0) return;
+
+        const liquids = this.config.liquids;
+        const radius = liquids.smoothingRadius;
+        const n = droplets.length;
+        const x = new Float64Array(n), y = new Float64Array(n);
+        const vx = new Float64Array(n), vy = new Float64Array(n);
+        // Matter's body.velocity predates collision response; getVelocity reflects where bodies ended up
+        droplets.forEach((droplet, i) => {
+            const velocity = this.physics.Body.getVelocity(droplet);
+            x[i] = droplet.position.x;
+            y[i] = droplet.position.y;
+            vx[i] = velocity.x;
+            vy[i] = velocity.y;
+        });
+
+        // Bucket droplets by smoothing-radius cell
+        const cols = Math.ceil(this.worldWidth / radius) + 1;
+        const rows = Math.ceil(this.worldHeight / radius) + 1;
+        const column = px => Math.max(0, Math.min(cols - 1, Math.floor(px / radius)));
+        const row = py => Math.max(0, Math.min(rows - 1, Math.floor(py / radius)));
+        const { cellStart, sorted } = bucketByCell(n, cols * rows, i => row(y[i]) * cols + column(x[i]));
+
+        // Visit droplets within reach of a point, handing over the closeness weight w = 1 - d / reach
+        const forNeighbours = (px, py, reach, visit) => {
+            for (let r = row(py - reach); r <= row(py + reach); r++) {
+                for (let c = column(px - reach); c <= column(px + reach); c++) {
+                    const key = r * cols + c;
+                    for (let k = cellStart[key]; k < cellStart[key + 1]; k++) {
+                        const j = sorted[k];
+                        const dx = x[j] - px;
+                        const dy = y[j] - py;
+                        const distanceSq = dx * dx + dy * dy;
+                        if (distanceSq >= reach * reach || distanceSq < 1e-12) continue;
+                        const distance = Math.sqrt(distanceSq);
+                        visit(j, 1 - distance / reach, dx / distance, dy / distance);
+                    }
+                }
+            }
+        };
+
+        // Pairs are found once and used for both density and relaxation
+        const pairs = [];
+        for (let i = 0; i < n; i++) {
+            forNeighbours(x[i], y[i], radius, (j, w, nx, ny) => {
+                if (j > i) pairs.push({ i, j, w, nx, ny });
+            });
+        }
+        // Solids reach further by however much they outsize a droplet
+        const solids = [];
+        this.sandParticles.concat(this.bubbles).forEach(body => {
+            const size = body.size !== undefined ? body.size / 2 : body.outerRadius;
+            const reach = radius + Math.max(0, size - liquids.dropletRadius);
+            const contacts = [];
+            forNeighbours(body.position.x, body.position.y, reach, (j, w, nx, ny) => contacts.push({ j, w, nx, ny }));
+            if (contacts.length) solids.push({ body, contacts });
+        });
+
+        // Each frame wall mirrors the droplets near it, so liquid at the edges is as dense as
+        // the bulk and rests against the wall instead of being squeezed into it
+        const ghosts = [];
+        for (let i = 0; i < n; i++) {
+            [[x[i], -1, 0], [this.worldWidth - x[i], 1, 0], [y[i], 0, -1], [this.worldHeight - y[i], 0, 1]].forEach(([gap, nx, ny]) => {
+                const distance = Math.max(0, 2 * gap);
+                if (distance < radius) ghosts.push({ i, w: 1 - distance / radius, nx, ny });
+            });
+        }
+
+        const density = new Float64Array(n), nearDensity = new Float64Array(n);
+        const addDensity = (i, w) => {
+            density[i] += w * w;
+            nearDensity[i] += w * w * w;
+        };
+        pairs.forEach(({ i, j, w }) => {
+            addDensity(i, w);
+            addDensity(j, w);
+        });
+        solids.forEach(({ contacts }) => contacts.forEach(({ j, w }) => addDensity(j, w)));
+        ghosts.forEach(({ i, w }) => addDensity(i, w));
+
+        const pressure = density.map(value => liquids.stiffness * (value - liquids.restDensity));
+        const nearPressure = nearDensity.map(value => liquids.nearStiffness * value);
+        const layers = liquids.layers;
+        const dx = new Float64Array(n), dy = new Float64Array(n);
+        // Viscosity blends each droplet's velocity with its own liquid's neighbours (XSPH)
+        const blendX = new Float64Array(n), blendY = new Float64Array(n), blendWeight = new Float64Array(n);
+        // How much liquid surrounds each droplet, for buoyancy
+        const aroundWeight = new Float64Array(n);
+
+        pairs.forEach(({ i, j, w, nx, ny }) => {
+            const a = droplets[i], b = droplets[j];
+            let push = (pressure[i] + pressure[j]) * w + (nearPressure[i] + nearPressure[j]) * w * w;
+            if (a.liquid === b.liquid) {
+                push -= (layers[a.liquid].cohesion ?? 0) * w * (1 - w);
+            } else {
+                push = Math.max(0, push) + (liquids.interfaceTension ?? 0) * w;
+            }
+            dx[i] -= nx * push / 2;
+            dy[i] -= ny * push / 2;
+            dx[j] += nx * push / 2;
+            dy[j] += ny * push / 2;
+            aroundWeight[i] += w;
+            aroundWeight[j] += w;
+
+            // Different liquids slip past each other freely
+            if (a.liquid !== b.liquid) return;
+            blendX[i] += (vx[j] - vx[i]) * w;
+            blendY[i] += (vy[j] - vy[i]) * w;
+            blendWeight[i] += w;
+            blendX[j] += (vx[i] - vx[j]) * w;
+            blendY[j] += (vy[i] - vy[j]) * w;
+            blendWeight[j] += w;
+        });
+
+        // Walls don't move, so the droplet takes the whole push, and viscosity drags it towards rest
+        ghosts.forEach(({ i, w, nx, ny }) => {
+            const push = Math.max(0, 2 * pressure[i] * w + 2 * nearPressure[i] * w * w);
+            dx[i] -= nx * push;
+            dy[i] -= ny * push;
+            blendX[i] -= vx[i] * w;
+            blendY[i] -= vy[i] * w;
+            blendWeight[i] += w;
+        });
+
+        // Solids hold their ground against the liquid's pressure (the droplets give way); they are
+        // buoyed up by the weight of liquid they displace and dragged along with its flow
+        const drag = liquids.drag ?? 0;
+        const gravity = this.engine.world.gravity;
+        const delta = this.stepMs * this.config.simulation.timeScale;
+        const fall = gravity.scale * delta * delta * (liquids.buoyancy ?? 1);
+        solids.forEach(({ body, contacts }) => {
+            let flowX = 0, flowY = 0, liquidDensity = 0, wetness = 0;
+            const velocity = this.physics.Body.getVelocity(body);
+            contacts.forEach(({ j, w, nx, ny }) => {
+                const push = Math.max(0, 2 * pressure[j] * w + 2 * nearPressure[j] * w * w);
+                dx[j] += nx * push;
+                dy[j] += ny * push;
+                flowX += (vx[j] - velocity.x) * w;
+                flowY += (vy[j] - velocity.y) * w;
+                liquidDensity += droplets[j].density * w;
+                wetness += w;
+            });
+            // Both only reach full strength once the solid is fully surrounded
+            const immersion = Math.min(1, wetness);
+            const pull = drag * immersion / wetness;
+            const lift = fall * immersion * (liquidDensity / wetness) / body.density;
+            // A sleeping solid still displaces liquid but is left asleep
+            if (!body.isSleeping) this.moveBody(body, 0, 0, flowX * pull - gravity.x * lift, flowY * pull - gravity.y * lift);
+        });
+
+        const viscosity = liquids.viscosity ?? 0;
+        const mixDensity = droplets.reduce((sum, droplet) => sum + droplet.density, 0) / n;
+        droplets.forEach((droplet, i) => {
+            const blend = blendWeight[i] > 0 ? viscosity / blendWeight[i] : 0;
+            // Only a droplet fully inside the liquid feels the full difference
+            const immersion = Math.min(1, aroundWeight[i]);
+            const surrounding = mixDensity * immersion + droplet.density * (1 - immersion);
+            const lift = fall * (surrounding - droplet.density) / droplet.density;
+            // Pushes are summed over all neighbours at once, so crowded droplets are under-relaxed to avoid overshoot
+            const relax = 1 / Math.max(1, density[i]);
+            this.moveBody(droplet, dx[i] * relax, dy[i] * relax, blendX[i] * blend - gravity.x * lift, blendY[i] * blend - gravity.y * lift);
+        });
+    }
+
+    // Displace a body, carrying the displacement into its velocity along with any extra change.
+    // Moves are capped at half a droplet radius so a crowded step can't tunnel through walls.
+    moveBody(body, moveX, moveY, extraVx, extraVy) {
+        // Sleepers stay asleep unless the liquid moves them noticeably
+        if (body.isSleeping) {
+            if (Math.abs(moveX) + Math.abs(moveY) < 0.01) return;
+            this.physics.Sleeping.set(body, false);
+        }
+        const limit = this.config.liquids.dropletRadius / 2;
+        const distance = Math.sqrt(moveX * moveX + moveY * moveY);
+        if (distance > limit) {
+            moveX *= limit / distance;
+            moveY *= limit / distance;
+        }
+        const velocity = this.physics.Body.getVelocity(body);
+        velocity.x += moveX + extraVx;
+        velocity.y += moveY + extraVy;
+        this.physics.Body.setPosition(body, { x: body.position.x + moveX, y: body.position.y + moveY });
+        this.physics.Body.setVelocity(body, velocity);
+    }
+
+    applyBuoyancyForces() {
+        const up = this.getUpVector();
+        const buoyancy = this.config.physics.buoyancy;
+
+        this.bubbles.forEach(bubble => {
+            if (!bubble.isSleeping) {
+                // Continuous buoyancy force to counteract gravity, whichever way the frame is turned
+                const force = buoyancy * bubble.lift;
+                this.physics.Body.applyForce(bubble, bubble.position, { x: up.x * force, y: up.y * force });
+            }
+        });
+    }
+
+    // Gravity in frame coordinates: screen-down rotated back by the frame angle
+    updateGravity() {
+        const gravity = this.config.physics.gravity;
+        this.engine.world.gravity.x = gravity * Math.sin(this.frameAngle);
+        this.engine.world.gravity.y = gravity * Math.cos(this.frameAngle);
+    }
+
+    getUpVector() {
+        return { x: -Math.sin(this.frameAngle), y: -Math.cos(this.frameAngle) };
+    }
+
+    setFrameAngle(angle) {
+        this.frameAngle = angle;
+        this.updateGravity();
+        // Matter doesn't wake sleepers on gravity changes
+        this.sandParticles.concat(this.bubbles, this.droplets).forEach(body => this.physics.Sleeping.set(body, false));
+    }
+
+    // Animate the frame through deltaAngle radians (positive is clockwise)
+    rotateBy(deltaAngle) {
+        const from = this.frameAngle;
+        // Chain onto a rotation already in progress rather than restarting from mid-turn
+        const to = (this.rotation ? this.rotation.to : from) + deltaAngle;
+        // Timed in simulation steps, not wall-clock time, so replays turn identically
+        const duration = this.config.simulation.rotationDuration ?? 1200;
+        this.rotation = {
+            from,
+            to,
+            startStep: this.stepCount,
+            steps: Math.max(1, Math.round(duration / this.stepMs))
+        };
+        console.log(`Rotating frame to ${Math.round(to * 180 / Math.PI)}°`);
+    }
+
+    updateRotation() {
+        if (!this.rotation) return;
+
+        const { from, to, startStep, steps } = this.rotation;
+        const t = Math.min(1, (this.stepCount - startStep + 1) / steps);
+        // Ease in and out so the sand starts and stops sliding gently
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+        this.setFrameAngle(from + (to - from) * eased);
+
+        if (t >= 1) {
+            // Keep the angle bounded so repeated turns don't accumulate
+            this.setFrameAngle(Math.atan2(Math.sin(to), Math.cos(to)));
+            this.rotation = null;
+            this.dispatchEvent(new CustomEvent('flipped', { detail: { angle: this.frameAngle, step: this.stepCount } }));
+        }
+    }
+
+    // Fill a brush circle with grains of one colour and material, around whatever is already there
+    paintSand({ x, y, radius, color, material }) {
+        const size = this.config.particles.size;
+        const layer = { color, material };
+        const region = { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 };
+        const grains = SAND_FILL_STRATEGIES.grid_jitter(region, { ...this.config.particles, count: Infinity }, this.random)
+            .filter(position => Math.hypot(position.x - x, position.y - y) <= radius && this.isFree(position.x, position.y, size / 2))
+            .map(position => this.createGrain(position.x, position.y, size, layer));
+        this.addGrains(grains);
+    }
+
+    addBubbleAt(x, y) {
+        const options = this.config.bubbles;
+        const radius = BUBBLE_SIZE_DISTRIBUTIONS[options.sizeDistribution ?? 'fixed'](options, this.random);
+        if (this.isFree(x, y, radius)) this.spawnBubble(x, y, radius, (radius / options.radius) ** 2);
+    }
+
+    // Remove every grain and bubble centred inside the circle
+    eraseAt(x, y, radius) {
+        const inside = body => Math.hypot(body.position.x - x, body.position.y - y) <= radius;
+        const erased = this.sandParticles.filter(inside).concat(this.bubbles.filter(inside));
+        if (erased.length === 0) return;
+
+        this.physics.World.remove(this.engine.world, erased);
+        this.sandParticles = this.sandParticles.filter(particle => !inside(particle));
+        this.bubbles = this.bubbles.filter(bubble => !inside(bubble));
+        this.grainsChanged();
+        // Matter doesn't wake bodies whose support has gone
+        this.sandParticles.concat(this.bubbles).forEach(body => this.physics.Sleeping.set(body, false));
+    }
+
+    addGrains(grains) {
+        if (grains.length === 0) return;
+        this.sandParticles.push(...grains);
+        this.physics.World.add(this.engine.world, grains);
+        this.grainsChanged();
+    }
+
+    // Whether a body of the given radius fits at (x, y): inside the frame, clear of the container
+    // and not overlapping any grain or bubble
+    isFree(x, y, radius) {
+        if (x < radius || y < radius || x > this.worldWidth - radius || y > this.worldHeight - radius) return false;
+        const overlaps = body => {
+            const reach = radius + Math.max(body.bounds.max.x - body.bounds.min.x, body.bounds.max.y - body.bounds.min.y) / 2;
+            return Math.abs(body.position.x - x) < reach && Math.abs(body.position.y - y) < reach &&
+                Math.hypot(body.position.x - x, body.position.y - y) < reach;
+        };
+        if (this.sandParticles.some(overlaps) || this.bubbles.some(overlaps)) return false;
+        return !this.containerBodies.some(body =>
+            (body.parts.length > 1 ? body.parts.slice(1) : [body]).some(piece => pointInPolygon(x, y, piece.vertices))
+        );
+    }
+
+    // Each emitter pours emitter.rate grains per simulated second from its nozzle, starting them
+    // off downhill. Emitters sit in the frame, so they turn with it.
+    runEmitters() {
+        const emitters = this.config.emitters ?? [];
+        const seconds = (this.stepMs * this.config.simulation.timeScale) / 1000;
+        const up = this.getUpVector();
+
+        emitters.forEach((emitter, i) => {
+            const state = this.emitterState[i] ??= { progress: 0, emitted: 0 };
+            if (emitter.count !== undefined && state.emitted >= emitter.count) return;
+
+            // Credit can't build up while the nozzle is blocked, so nothing bursts out afterwards
+            state.progress = Math.min(state.progress + emitter.rate * seconds, 1 + emitter.rate * seconds);
+            const size = emitter.size ?? this.config.particles.size;
+            const grains = [];
+            while (state.progress >= 1 && (emitter.count === undefined || state.emitted < emitter.count)) {
+                const offset = (this.random() - 0.5) * (emitter.spread ?? size);
+                const x = emitter.x - up.y * offset;
+                const y = emitter.y + up.x * offset;
+                if (!this.isFree(x, y, size / 2)) break;
+
+                const grain = this.createGrain(x, y, size, { color: emitter.color, material: emitter.material });
+                // Fast enough to clear the nozzle before the next grain comes
+                this.physics.Body.setVelocity(grain, { x: (-up.x * size) / 2, y: (-up.y * size) / 2 });
+                grains.push(grain);
+                state.progress--;
+                state.emitted++;
+            }
+            this.addGrains(grains);
+        });
+    }
+
+    getSandParticleColor(particle) {
+        // Palette grains keep their layer's hue, with a little per-grain shading so bands read as sand
+        if (particle.layer) {
+            const { h, s, l } = this.hexToHsl(particle.layer.color);
+            const variation = particle.layer.variation ?? 8;
+            // Whole-percent shades keep the palette small enough for the renderer to batch by colour
+            const lightness = Math.max(0, Math.min(100, Math.round(l + (this.random() - 0.5) * variation)));
+            return `hsl(${h}, ${s}%, ${lightness}%)`;
+        }
+
+        // Calculate color variation based on initial y coordinate
+        const fillHeight = this.worldHeight * 0.4;
+        const yPosition = particle.initialY || 0;
+        const normalizedY = Math.max(0, Math.min(1, yPosition / fillHeight));
+
+        // Base sand color (from config)
+        const baseColor = this.config.colors.particles || '#f4a261';
+
+        // Create color variation - darker at top, lighter at bottom
+        const hue = this.hexToHsl(baseColor).h;
+        const saturation = Math.round(60 + (normalizedY * 20)); // 60-80%
+        const lightness = Math.round(45 + (normalizedY * 15));  // 45-60%
+
+        return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+    }
+
+    hexToHsl(hex) {
+        // Convert hex to RGB first
+        const r = parseInt(hex.slice(1, 3), 16) / 255;
+        const g = parseInt(hex.slice(3, 5), 16) / 255;
+        const b = parseInt(hex.slice(5, 7), 16) / 255;
+
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        let h, s, l = (max + min) / 2;
+
+        if (max === min) {
+            h = s = 0; // achromatic
+        } else {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            switch (max) {
+                case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+                case g: h = (b - r) / d + 2; break;
+                case b: h = (r - g) / d + 4; break;
+            }
+            h /= 6;
+        }
+
+        return { h: Math.round(h * 360), s: Math.round(s * 100), l: Math.round(l * 100) };
+    }
+
+    // Entry point for user actions: logged against the step they land on, then applied
+    perform(type, data = {}) {
+        if (this.replayActions) {
+            console.log(`Ignoring "${type}" while a recording is replaying`);
+            return;
+        }
+
+        const action = { step: this.stepCount, type, ...data };
+        this.recording.actions.push(action);
+        this.applyAction(action);
+    }
+
+    applyAction(action) {
+        // Any action disturbs the sand, so settling starts over
+        this.calmSteps = 0;
+        this.settled = false;
+
+        switch (action.type) {
+            case 'flip':
+                this.rotateBy(Math.PI);
+                break;
+            case 'rotate':
+                this.rotateBy(action.angle);
+                break;
+            case 'turn':
+                this.rotation = null;
+                this.setFrameAngle(action.angle);
+                break;
+            case 'set':
+                setConfigValue(this.config, action.path, action.value);
+                this.applyLiveSetting(action.path);
+                break;
+            case 'reset':
+                this.resetWorld(action.config, action.seed);
+                break;
+            case 'paint':
+                this.paintSand(action);
+                break;
+            case 'addBubble':
+                this.addBubbleAt(action.x, action.y);
+                break;
+            case 'erase':
+                this.eraseAt(action.x, action.y, action.radius);
+                break;
+            case 'addEmitter':
+                (this.config.emitters ??= []).push(structuredClone(action.emitter));
+                break;
+            case 'removeEmitter':
+                (this.config.emitters ??= []).splice(action.index, 1);
+                this.emitterState.splice(action.index, 1);
+                break;
+            default:
+                throw new Error(`Unknown recorded action "${action.type}"`);
+        }
+    }
+
+    // Rebuild the world in place from a config, keeping the step count and recording going
+    resetWorld(config, seed) {
+        this.physics.World.clear(this.engine.world);
+        this.physics.Engine.clear(this.engine);
+
+        this.config = structuredClone(config);
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.worldWidth = this.config.canvas.width;
+        this.worldHeight = this.config.canvas.height;
+        this.sandParticles = [];
+        this.bubbles = [];
+        this.droplets = [];
+        this.frameAngle = 0;
+        this.rotation = null;
+        this.dragRotation = null;
+        this.emitterState = [];
+
+        this.initPhysics();
+        this.createInitialLayout();
+        console.log(`World reset at step ${this.stepCount} with seed ${seed}`);
+    }
+
+    // Push an edited config value into the running engine and bodies
+    applyLiveSetting(path) {
+        switch (path) {
+            case 'physics.gravity':
+                this.updateGravity();
+                break;
+            case 'physics.friction':
+            case 'physics.elasticity':
+            case 'physics.sandDrag':
+            case 'physics.bubbleDrag':
+            case 'particles.density':
+            case 'bubbles.density':
+                // Grains and bubbles whose material sets the property keep it
+                this.applyMaterials();
+                break;
+            case 'simulation.engineOptions.velocityIterations':
+            case 'simulation.engineOptions.positionIterations':
+                this.engine.velocityIterations = this.config.simulation.engineOptions.velocityIterations;
+                this.engine.positionIterations = this.config.simulation.engineOptions.positionIterations;
+                break;
+            case 'simulation.enableSleeping':
+                this.engine.enableSleeping = this.config.simulation.enableSleeping;
+                break;
+            // Everything else (buoyancy, timeScale, substeps, rotation timing, settling) is read afresh each frame
+        }
+
+        this.sandParticles.concat(this.bubbles).forEach(body => this.physics.Sleeping.set(body, false));
+    }
+
+    // Advance the world by exactly one fixed step
+    stepSimulation() {
+        // Recorded actions land before the step they were logged against
+        while (this.replayActions?.length && this.replayActions[0].step <= this.stepCount) {
+            this.applyAction(this.replayActions.shift());
+        }
+        if (this.replayActions?.length === 0) {
+            this.replayActions = null;
+            console.log(`Replay finished at step ${this.stepCount}`);
+        }
+
+        // Advance any frame rotation before stepping so gravity is current
+        this.updateRotation();
+        // New grains are awake, so pouring keeps the engine running
+        this.runEmitters();
+
+        // With every body asleep nothing can move until something wakes one, so the engine idles
+        this.asleep = this.isAsleep();
+        if (!this.asleep) {
+            // Update physics, optionally in simulation.substeps smaller updates for stiffer stacks.
+            // Matter clears forces after each update, so buoyancy goes back on between them.
+            const substeps = this.config.simulation.substeps ?? 1;
+            const delta = (this.stepMs * this.config.simulation.timeScale) / substeps;
+            this.engine.recordContacts = this.recordContacts;
+            const engineStart = performance.now();
+            for (let substep = 0; substep < substeps; substep++) {
+                if (substep > 0) this.applyBuoyancyForces();
+                this.physics.Engine.update(this.engine, delta);
+            }
+            this.perf.engineMs += performance.now() - engineStart;
+            this.perf.steps++;
+            this.relaxLiquids();
+
+            // Apply buoyancy forces
+            this.applyBuoyancyForces();
+            this.mergeBubbles();
+            this.handleSurfacedBubbles();
+            this.detectFreedBubbles();
+        }
+        if (this.reportCollisions) this.reportStepCollisions();
+
+        this.updateSettled();
+        this.stepCount++;
+    }
+
+    isAsleep() {
+        if (!this.engine.enableSleeping) return false;
+        // Matter wakes any body with a force on it, so bubbles held up by buoyancy never sleep, and droplets
+        // are kept awake; a still one counts
+        const still = body => {
+            const velocity = this.physics.Body.getVelocity(body);
+            return Math.abs(velocity.x) + Math.abs(velocity.y) < 0.01;
+        };
+        return this.sandParticles.every(body => body.isSleeping) &&
+            this.droplets.every(still) &&
+            this.bubbles.every(body => body.isSleeping || still(body));
+    }
+
+    // The sand has settled once its kinetic energy per unit mass (sleeping bodies count as still)
+    // stays under simulation.settleEnergy for simulation.settleSteps steps in a row
+    updateSettled() {
+        let energy = 0, mass = 0;
+        this.sandParticles.concat(this.droplets).forEach(body => {
+            mass += body.mass;
+            if (!body.isSleeping) {
+                const velocity = this.physics.Body.getVelocity(body);
+                energy += 0.5 * body.mass * (velocity.x * velocity.x + velocity.y * velocity.y);
+            }
+        });
+
+        const threshold = this.config.simulation.settleEnergy ?? 0.002;
+        const calm = !this.rotation && !this.dragRotation && (mass === 0 || energy / mass < threshold);
+        this.calmSteps = calm ? this.calmSteps + 1 : 0;
+
+        const settled = this.calmSteps >= (this.config.simulation.settleSteps ?? 60);
+        if (settled === this.settled) return;
+        this.settled = settled;
+        if (settled) {
+            console.log(`Settled at step ${this.stepCount}`);
+            this.dispatchEvent(new CustomEvent('settled', { detail: { step: this.stepCount } }));
+        }
+    }
+
+    // Full world state as plain JSON: enough to rebuild every body exactly where it was
+    getSnapshot() {
+        const layers = this.config.colors.layers ?? [];
+        const bodyState = body => ({
+            x: body.position.x,
+            y: body.position.y,
+            angle: body.angle,
+            vx: body.velocity.x,
+            vy: body.velocity.y,
+            angularVelocity: body.angularVelocity
+        });
+
+        return {
+            type: 'sand-art-snapshot',
+            version: 1,
+            config: structuredClone(this.config),
+            seed: this.seed,
+            randomState: this.random.getState(),
+            stepCount: this.stepCount,
+            frameAngle: this.frameAngle,
+            // A turn in progress, so a snapshot taken mid-turn carries on to the same angle
+            rotation: this.rotation ? { ...this.rotation } : null,
+            sand: this.sandParticles.map(particle => ({
+                ...bodyState(particle),
+                size: particle.size,
+                shape: particle.grainShape,
+                outline: particle.outline,
+                density: particle.density,
+                color: particle.color,
+                band: particle.band,
+                layer: layers.indexOf(particle.layer),
+                // Painted and poured grains have their own colour and material instead of a palette layer
+                paint: layers.includes(particle.layer) ? undefined : particle.layer ?? undefined,
+                initialY: particle.initialY
+            })),
+            // Bubble outlines are kept relative to the centre, already turned to the body's angle
+            bubbles: this.bubbles.map(bubble => ({
+                ...bodyState(bubble),
+                radius: bubble.outerRadius,
+                lift: bubble.lift,
+                respawnAfter: bubble.respawnAfter,
+                vertices: bubble.vertices.map(vertex => ({
+                    x: vertex.x - bubble.position.x,
+                    y: vertex.y - bubble.position.y
+                }))
+            })),
+            liquids: this.droplets.map(droplet => ({
+                ...bodyState(droplet),
+                liquid: droplet.liquid
+            })),
+            emitters: structuredClone(this.emitterState)
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        const layers = this.config.colors.layers ?? [];
+        const applyState = (body, state) => {
+            this.physics.Body.setVelocity(body, { x: state.vx, y: state.vy });
+            this.physics.Body.setAngularVelocity(body, state.angularVelocity);
+        };
+
+        this.sandParticles = snapshot.sand.map(state => {
+            const layer = layers[state.layer] ?? state.paint ?? null;
+            // Older snapshots only have square grains
+            const material = { ...this.getSandMaterial(layer), density: state.density, shape: state.shape ?? 'square' };
+            const particle = this.createSandBody(state.x, state.y, state.size, material, state.angle, state.outline ?? undefined);
+            applyState(particle, state);
+            particle.color = state.color;
+            particle.band = state.band;
+            particle.layer = layer;
+            particle.initialY = state.initialY;
+            return particle;
+        });
+
+        this.bubbles = snapshot.bubbles.map(state => {
+            const bubble = this.createBubbleBody(state.x, state.y, state.vertices);
+            applyState(bubble, state);
+            // Older snapshots only have uniform bubbles
+            bubble.outerRadius = state.radius ?? this.config.bubbles.radius;
+            bubble.lift = state.lift ?? 1;
+            bubble.respawnAfter = state.respawnAfter;
+            return bubble;
+        });
+        this.bubbleContacts = new Map();
+
+        // Snapshots from before liquids existed have none
+        this.droplets = (snapshot.liquids ?? []).map(state => {
+            const droplet = this.createDroplet(state.x, state.y, state.liquid);
+            applyState(droplet, state);
+            return droplet;
+        });
+
+        this.emitterState = structuredClone(snapshot.emitters ?? []);
+        this.grainsChanged();
+        this.random.setState(snapshot.randomState);
+        this.stepCount = snapshot.stepCount;
+        this.setFrameAngle(snapshot.frameAngle);
+        this.rotation = snapshot.rotation ? { ...snapshot.rotation } : null;
+
+        this.physics.World.add(this.engine.world, [...this.sandParticles, ...this.bubbles, ...this.droplets]);
+        console.log(`Restored snapshot at step ${this.stepCount}: ${this.sandParticles.length} grains, ${this.bubbles.length} bubbles, ${this.droplets.length} droplets`);
+    }
+
+    getRecording() {
+        return structuredClone(this.recording);
+    }
+
+    // Hooks for a view that caches what it draws: grains were added or removed, or the container rebuilt
+    grainsChanged() {}
+
+    containerChanged() {}
+
+    // Summary of the world for regression checks: how high the sand stands above the frame's current
+    // floor (its mean and its surface, the 95th percentile), where the bubbles are and the kinetic energy
+    getStats() {
+        const up = this.getUpVector();
+        const height = body => {
+            // Distance from the floor along up; the floor is the frame's lowest corner
+            const floor = Math.min(...[[0, 0], [this.worldWidth, 0], [0, this.worldHeight], [this.worldWidth, this.worldHeight]]
+                .map(([x, y]) => x * up.x + y * up.y));
+            return body.position.x * up.x + body.position.y * up.y - floor;
+        };
+        const sandHeights = this.sandParticles.map(height).sort((a, b) => a - b);
+        const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+        let energy = 0;
+        this.sandParticles.concat(this.bubbles, this.droplets).forEach(body => {
+            const velocity = this.physics.Body.getVelocity(body);
+            energy += 0.5 * body.mass * (velocity.x * velocity.x + velocity.y * velocity.y);
+        });
+
+        return {
+            step: this.stepCount,
+            settled: this.settled,
+            frameAngle: this.frameAngle,
+            sand: {
+                count: this.sandParticles.length,
+                meanHeight: mean(sandHeights),
+                surfaceHeight: sandHeights[Math.floor(sandHeights.length * 0.95)] ?? 0
+            },
+            bubbles: {
+                count: this.bubbles.length,
+                meanHeight: mean(this.bubbles.map(height)),
+                positions: this.bubbles.map(bubble => ({ x: bubble.position.x, y: bubble.position.y, radius: bubble.outerRadius }))
+            },
+            droplets: this.droplets.length,
+            // One entry per liquids.layers entry, so a flip can be checked for the layers re-sorting
+            liquids: (this.config.liquids?.layers ?? []).map((liquid, liquidIndex) => {
+                const heights = this.droplets.filter(droplet => droplet.liquid === liquidIndex).map(height);
+                return { name: liquid.name ?? `liquid ${liquidIndex + 1}`, count: heights.length, meanHeight: mean(heights) };
+            }),
+            energy
+        };
+    }
+}
+
+function getConfigValue(target, path) {
+    return path.split('.').reduce((value, key) => value?.[key], target);
+}
+
+function setConfigValue(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => (object[key] ??= {}), target);
+    parent[last] = value;
+}
+
+// Config schema. Groups are { type: 'object', keys }, lists are { type: 'array', items } and
+// named collections are { type: 'map', values }; leaves give a type ('number', 'string',
+// 'boolean' or 'color'), a default and any range or options. Leaves without a default are
+// optional (the code has its own fallback) and required ones must be given. A ref names the
+// top-level map the value must be a key of. validateConfig() merges a partial config over the defaults.
+const schemaGroup = keys => ({ type: 'object', keys });
+const schemaList = keys => ({ type: 'array', items: schemaGroup(keys), default: [] });
+const materialRef = { type: 'string', ref: 'materials' };
+
+const CONFIG_SCHEMA = schemaGroup({
+    physics: schemaGroup({
+        gravity: { type: 'number', default: 0.5, min: 0, max: 10 },
+        buoyancy: { type: 'number', default: 0.002, min: 0, max: 1 },
+        bubbleDrag: { type: 'number', default: 0.3, min: 0, max: 1 },
+        elasticity: { type: 'number', default: 0.2, min: 0, max: 1 },
+        friction: { type: 'number', default: 0.3, min: 0, max: 1 },
+        sandDrag: { type: 'number', default: 0.05, min: 0, max: 1 }
+    }),
+    particles: schemaGroup({
+        count: { type: 'number', default: 1500, min: 0, max: 100000, integer: true },
+        size: { type: 'number', default: 8, min: 1, max: 100 },
+        density: { type: 'number', default: 0.001, min: 0.00001, max: 1 },
+        fillStrategy: { type: 'string', default: 'grid_jitter', options: Object.keys(SAND_FILL_STRATEGIES) },
+        material: materialRef,
+        gridSpacing: { type: 'number', min: 0, max: 100 },
+        jitterAmount: { type: 'number', min: 0, max: 100 },
+        bandCount: { type: 'number', min: 1, max: 100, integer: true },
+        heapAngle: { type: 'number', min: 1, max: 89 },
+        drawSquareParticles: { type: 'boolean', default: true }
+    }),
+    bubbles: schemaGroup({
+        count: { type: 'number', default: 50, min: 0, max: 5000, integer: true },
+        radius: { type: 'number', default: 15, min: 1, max: 500 },
+        sizeDistribution: { type: 'string', default: 'fixed', options: Object.keys(BUBBLE_SIZE_DISTRIBUTIONS) },
+        radiusMin: { type: 'number', min: 1, max: 500 },
+        radiusMax: { type: 'number', min: 1, max: 500 },
+        histogram: {
+            type: 'array',
+            items: schemaGroup({
+                radius: { type: 'number', min: 1, max: 500, required: true },
+                weight: { type: 'number', min: 0 }
+            })
+        },
+        shape: { type: 'string', default: 'hexagon', options: Object.keys(BUBBLE_SHAPES) },
+        sides: { type: 'number', default: 6, min: 3, max: 64, integer: true },
+        density: { type: 'number', default: 0.0005, min: 0.00001, max: 1 },
+        // Preferred distance between bubble centres at the start (twice the largest radius if unset);
+        // it closes in, down to touching, when bubbles.count wouldn't fit in the starting band
+        spacing: { type: 'number', min: 1, max: 1000 },
+        buoyancyForce: { type: 'number', default: 0.01, min: 0, max: 1 },
+        mergeAfter: { type: 'number', default: 0, min: 0, integer: true },
+        atSurface: { type: 'string', default: 'stay', options: ['stay', 'pop', 'respawn'] },
+        material: materialRef
+    }),
+    liquids: schemaGroup({
+        fill: { type: 'number', default: 0.3, min: 0, max: 1 },
+        dropletRadius: { type: 'number', default: 4, min: 0.5, max: 50 },
+        spacing: { type: 'number', min: 1, max: 100 },
+        smoothingRadius: { type: 'number', default: 14, min: 1, max: 200 },
+        restDensity: { type: 'number', default: 1, min: 0, max: 50 },
+        stiffness: { type: 'number', default: 1, min: 0, max: 10 },
+        nearStiffness: { type: 'number', default: 2, min: 0, max: 10 },
+        viscosity: { type: 'number', default: 0.1, min: 0, max: 1 },
+        interfaceTension: { type: 'number', default: 1, min: 0, max: 10 },
+        drag: { type: 'number', default: 0.1, min: 0, max: 1 },
+        buoyancy: { type: 'number', min: 0, max: 10 },
+        frictionAir: { type: 'number', default: 0.02, min: 0, max: 1 },
+        layers: schemaList({
+            name: { type: 'string' },
+            color: { type: 'color', required: true },
+            density: { type: 'number', min: 0.00001, max: 1, required: true },
+            cohesion: { type: 'number', min: 0, max: 10 },
+            thickness: { type: 'number', min: 0 }
+        })
+    }),
+    // Named body properties for sand layers, bubbles and container parts; anything left out
+    // falls back to the physics.* settings (container.* for the container)
+    materials: {
+        type: 'map',
+        default: {},
+        values: schemaGroup({
+            friction: { type: 'number', min: 0, max: 1 },
+            frictionStatic: { type: 'number', min: 0, max: 10 },
+            restitution: { type: 'number', min: 0, max: 1 },
+            density: { type: 'number', min: 0.00001, max: 1 },
+            frictionAir: { type: 'number', min: 0, max: 1 },
+            shape: { type: 'string', options: Object.keys(GRAIN_SHAPES) },
+            // Relative pitch of the grains' sound (1 is medium sand)
+            pitch: { type: 'number', min: 0.1, max: 10 }
+        })
+    },
+    container: schemaGroup({
+        friction: { type: 'number', default: 0.1, min: 0, max: 1 },
+        restitution: { type: 'number', default: 0, min: 0, max: 1 },
+        material: materialRef,
+        parts: schemaList({
+            type: { type: 'string', options: Object.keys(CONTAINER_PART_BUILDERS), required: true },
+            material: materialRef,
+            x: { type: 'number' },
+            y: { type: 'number' },
+            x1: { type: 'number' },
+            y1: { type: 'number' },
+            x2: { type: 'number' },
+            y2: { type: 'number' },
+            width: { type: 'number', min: 0 },
+            height: { type: 'number', min: 0 },
+            angle: { type: 'number' },
+            apex: { type: 'number' },
+            opening: { type: 'number', min: 0 },
+            thickness: { type: 'number', min: 0 },
+            radius: { type: 'number', min: 0 },
+            rows: { type: 'number', min: 1, integer: true },
+            cols: { type: 'number', min: 1, integer: true },
+            staggered: { type: 'boolean' },
+            inverted: { type: 'boolean' },
+            points: { type: 'array', items: { type: 'array', items: { type: 'number', required: true } } },
+            friction: { type: 'number', min: 0, max: 1 },
+            restitution: { type: 'number', min: 0, max: 1 }
+        })
+    }),
+    // Sand sources placed with the emitter tool (or written by hand): each pours rate grains a
+    // second from (x, y), spread across spread units, stopping after count grains if given
+    emitters: schemaList({
+        x: { type: 'number', required: true },
+        y: { type: 'number', required: true },
+        color: { type: 'color', required: true },
+        material: materialRef,
+        rate: { type: 'number', default: 20, min: 0, max: 1000 },
+        size: { type: 'number', min: 1, max: 100 },
+        spread: { type: 'number', min: 0, max: 1000 },
+        count: { type: 'number', min: 0, integer: true }
+    }),
+    canvas: schemaGroup({
+        width: { type: 'number', default: 800, min: 100, max: 8000, integer: true },
+        height: { type: 'number', default: 600, min: 100, max: 8000, integer: true },
+        backgroundColor: { type: 'color', default: '#1a1a2e' },
+        responsive: { type: 'boolean', default: true },
+        maxWidth: { type: 'number', default: 1200, min: 100, max: 8000 },
+        maxHeight: { type: 'number', default: 800, min: 100, max: 8000 },
+        aspectRatio: { type: 'number', default: 1.333, min: 0.1, max: 10 }
+    }),
+    colors: schemaGroup({
+        particles: { type: 'color', default: '#f4a261' },
+        bubbles: { type: 'color', default: '#2a9d8f' },
+        background: { type: 'color', default: '#264653' },
+        container: { type: 'color', default: '#8d99ae' },
+        layers: schemaList({
+            color: { type: 'color', required: true },
+            thickness: { type: 'number', min: 0 },
+            size: { type: 'number', min: 1, max: 100 },
+            density: { type: 'number', min: 0.00001, max: 1 },
+            variation: { type: 'number', min: 0, max: 100 },
+            material: materialRef
+        })
+    }),
+    simulation: schemaGroup({
+        engine: { type: 'string', default: 'matter', options: Object.keys(PHYSICS_BACKENDS) },
+        seed: { type: 'number', min: 0, max: 0xffffffff, integer: true },
+        timeScale: { type: 'number', default: 1, min: 0.01, max: 10 },
+        engineOptions: schemaGroup({
+            velocityIterations: { type: 'number', default: 4, min: 1, max: 100, integer: true },
+            positionIterations: { type: 'number', default: 6, min: 1, max: 100, integer: true }
+        }),
+        substeps: { type: 'number', default: 1, min: 1, max: 20, integer: true },
+        enableSleeping: { type: 'boolean', default: true },
+        settleEnergy: { type: 'number', default: 0.002, min: 0 },
+        settleSteps: { type: 'number', default: 60, min: 1, integer: true },
+        rotationDuration: { type: 'number', default: 1200, min: 0, max: 60000 },
+        rotationStep: { type: 'number', default: 90, min: 1, max: 360 }
+    }),
+    export: schemaGroup({
+        frameRate: { type: 'number', default: 30, min: 1, max: 120, integer: true },
+        timelapseSpeed: { type: 'number', default: 4, min: 0.1, max: 100 }
+    }),
+    render: schemaGroup({
+        mode: { type: 'string', default: 'batched', options: ['batched', 'legacy', 'worker'] }
+    }),
+    ambient: schemaGroup({
+        enabled: { type: 'boolean', default: false },
+        action: { type: 'string', default: 'flip', options: ['flip', 'rotate'] },
+        dwell: { type: 'number', default: 5000, min: 0 },
+        cycleEvery: { type: 'number', default: 0, min: 0, integer: true }
+    })
+});
+
+// Merge a (possibly partial) config over the schema defaults. Returns the merged config with
+// every problem found: errors (wrong types, out-of-range values, missing required keys, unknown names) mean
+// the config cannot run; warnings (unknown keys) are reported and otherwise ignored.
+function validateConfig(raw) {
+    const errors = [];
+    const warnings = [];
+    const refs = [];
+    const describe = value => JSON.stringify(value) ?? String(value);
+
+    function check(spec, value, path) {
+        if (value === undefined) {
+            if (spec.type === 'object') return check(spec, {}, path);
+            if (spec.required) errors.push(`${path} is required`);
+            return structuredClone(spec.default);
+        }
+
+        switch (spec.type) {
+            case 'object': {
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path || 'config'} should be an object, got ${describe(value)}`);
+                    return check(spec, {}, path);
+                }
+                const merged = {};
+                Object.entries(spec.keys).forEach(([key, child]) => {
+                    const childValue = check(child, value[key], path ? `${path}.${key}` : key);
+                    if (childValue !== undefined) merged[key] = childValue;
+                });
+                // Unknown keys are kept (later code or a newer page may want them) but flagged,
+                // since they are usually typos
+                Object.keys(value).filter(key => !(key in spec.keys)).forEach(key => {
+                    warnings.push(`Unknown key ${path ? `${path}.${key}` : key}`);
+                    merged[key] = value[key];
+                });
+                return merged;
+            }
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path} should be a list, got ${describe(value)}`);
+                    return structuredClone(spec.default);
+                }
+                return value.map((item, i) => check(spec.items, item, `${path}[${i}]`));
+            case 'map':
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path} should be an object, got ${describe(value)}`);
+                    return structuredClone(spec.default);
+                }
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, check(spec.values, item, `${path}.${key}`)]));
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(`${path} should be a number, got ${describe(value)}`);
+                } else if (spec.integer && !Number.isInteger(value)) {
+                    errors.push(`${path} should be a whole number, got ${value}`);
+                } else if (value < (spec.min ?? -Infinity) || value > (spec.max ?? Infinity)) {
+                    errors.push(`${path} is ${value}, outside ${spec.min ?? '-∞'} to ${spec.max ?? '∞'}`);
+                }
+                return value;
+            case 'string':
+                if (typeof value !== 'string') {
+                    errors.push(`${path} should be a string, got ${describe(value)}`);
+                } else if (spec.options && !spec.options.includes(value)) {
+                    errors.push(`${path} is "${value}" (available: ${spec.options.join(', ')})`);
+                } else if (spec.ref) {
+                    // Checked once the whole config is merged, when every name is known
+                    refs.push({ path, value, ref: spec.ref });
+                }
+                return value;
+            case 'boolean':
+                if (typeof value !== 'boolean') errors.push(`${path} should be true or false, got ${describe(value)}`);
+                return value;
+            case 'color':
+                // Colours are shaded and given alpha suffixes, so only #rrggbb works
+                if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+                    errors.push(`${path} should be a #rrggbb colour, got ${describe(value)}`);
+                }
+                return value;
+        }
+    }
+
+    const config = check(CONFIG_SCHEMA, raw, '');
+    refs.forEach(({ path, value, ref }) => {
+        const names = Object.keys(config[ref] ?? {});
+        if (!names.includes(value)) errors.push(`${path} is "${value}" (available ${ref}: ${names.join(', ') || 'none'})`);
+    });
+    return { config, errors, warnings };
+}
+
+// The built-in configuration: every schema default, with no sand layers, liquids or container parts
+function getDefaultConfig() {
+    return validateConfig({}).config;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { SandArtCore, validateConfig, getDefaultConfig, getConfigValue, setConfigValue, PHYSICS_BACKENDS };
+}
@@ -0,0 +1,70 @@
+// Regression checks for the simulation core, run under Node with `npm test`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { SandArtCore, validateConfig } = require('../sand-art-core.js');
+
+const shippedConfig = require('../config.json');
+
+// The core narrates what it builds; keep the test output to the results
+console.log = () => {};
+console.warn = () => {};
+
+function createSimulation(seed) {
+    const raw = structuredClone(shippedConfig);
+    raw.simulation.seed = seed;
+    const { config, errors } = validateConfig(raw);
+    assert.deepEqual(errors, []);
+    return new SandArtCore(config);
+}
+
+function stepFor(simulation, steps) {
+    for (let i = 0; i < steps; i++) simulation.stepSimulation();
+}
+
+test('the same seed steps to the same world', () => {
+    const first = createSimulation(11);
+    const second = createSimulation(11);
+    stepFor(first, 120);
+    stepFor(second, 120);
+    assert.deepEqual(second.getStats(), first.getStats());
+});
+
+test('a snapshot taken mid-turn finishes the turn', () => {
+    const simulation = createSimulation(5);
+    stepFor(simulation, 30);
+    simulation.perform('flip');
+    stepFor(simulation, 20);
+
+    const snapshot = JSON.parse(JSON.stringify(simulation.getSnapshot()));
+    const restored = new SandArtCore(snapshot.config, { snapshot });
+    assert.equal(restored.frameAngle, simulation.frameAngle);
+
+    stepFor(simulation, 100);
+    stepFor(restored, 100);
+    assert.equal(restored.rotation, null);
+    assert.equal(restored.frameAngle, simulation.frameAngle);
+});
+
+test('the shipped config settles and the engine goes idle', () => {
+    const simulation = createSimulation(1);
+    let settledAt = null;
+    simulation.addEventListener('settled', event => {
+        settledAt = event.detail.step;
+    });
+    for (let i = 0; i < 3000 && settledAt === null; i++) simulation.stepSimulation();
+    assert.notEqual(settledAt, null, 'still moving after 3000 steps');
+
+    for (let i = 0; i < 600 && !simulation.asleep; i++) simulation.stepSimulation();
+    assert.ok(simulation.asleep, 'settled but never fell asleep');
+});
+
+test('the CLI reports a config it cannot simulate and exits non-zero', () => {
+    const cli = path.join(__dirname, '..', 'cli.js');
+    const concave = path.join(__dirname, 'fixtures', 'degenerate-container.json');
+    const result = spawnSync(process.execPath, [cli, concave, '--frames', '1'], { encoding: 'utf8' });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Could not simulate the configuration/);
+    assert.doesNotMatch(result.stderr, /^\s+at /m);
+});